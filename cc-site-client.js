@@ -3,11 +3,12 @@
 
   Features
   - Lightweight analytics:
-      - Respects Do Not Track + optional consent gate
+      - Respects Do Not Track / Global Privacy Control (optional anonymous mode) + per-purpose consent (API, IAB TCF v2, Google Consent Mode)
       - Visitor + session IDs, UTM capture, referrer trail
       - Pageviews (incl. SPA navigations), scroll depth, click/outbound links
-      - Heartbeat pings, basic performance + web-vitals, error tracking
-      - Batched delivery via sendBeacon with fetch fallback and retry
+      - Engaged time, basic performance + web-vitals, error tracking
+      - Batched delivery via fetch (sendBeacon on page hide), persisted offline
+        queue replayed on next load, exponential backoff with jitter
   Notes
   - Fixed analytics/search base: https://api.credibilitycompass.com/api/v1
   - SVG assets (logos) are resolved relative to the script URL with a CDN fallback.
@@ -73,17 +74,21 @@
   const metaSiteId = (function(){
     try { return D.querySelector('meta[name="cc-verification"]')?.getAttribute('content') || '' } catch { return '' }
   })();
-  const explicitSearchAccent = hasAttr('data-search-accent') || typeof W.CC_EMBED_OPTS?.search?.accent === 'string';
-  const explicitChatAccent = hasAttr('data-chat-accent') || typeof W.CC_EMBED_OPTS?.chat?.accent === 'string';
-  const explicitSearchPlaceholder = hasAttr('data-search-placeholder') || typeof W.CC_EMBED_OPTS?.search?.placeholder === 'string';
-  const explicitChatPlaceholder = hasAttr('data-chat-placeholder') || typeof W.CC_EMBED_OPTS?.chat?.placeholder === 'string';
-  const explicitChatTitle = hasAttr('data-chat-title') || typeof W.CC_EMBED_OPTS?.chat?.title === 'string';
-  const explicitChatLabel = hasAttr('data-chat-label') || typeof W.CC_EMBED_OPTS?.chat?.launcherLabel === 'string';
-  const explicitChatEndpoint = hasAttr('data-chat-endpoint') || typeof W.CC_EMBED_OPTS?.chat?.endpoint === 'string';
-  const explicitChatShowPdfPreview = hasAttr('data-chat-show-pdf-preview') || typeof W.CC_EMBED_OPTS?.chat?.showPdfPreview === 'boolean';
-  const explicitMessagesAccent = hasAttr('data-messages-accent') || typeof W.CC_EMBED_OPTS?.messages?.accent === 'string';
-  const explicitDockPosition = hasAttr('data-dock-position') || hasAttr('data-toolbar-position') || typeof W.CC_EMBED_OPTS?.dock?.position === 'string' || typeof W.CC_EMBED_OPTS?.toolbar?.position === 'string';
-  const explicitDockDensity = hasAttr('data-dock-density') || hasAttr('data-toolbar-density') || typeof W.CC_EMBED_OPTS?.dock?.density === 'string' || typeof W.CC_EMBED_OPTS?.toolbar?.density === 'string';
+  let explicitSearchAccent = hasAttr('data-search-accent') || typeof W.CC_EMBED_OPTS?.search?.accent === 'string';
+  let explicitChatAccent = hasAttr('data-chat-accent') || typeof W.CC_EMBED_OPTS?.chat?.accent === 'string';
+  let explicitSearchPlaceholder = hasAttr('data-search-placeholder') || typeof W.CC_EMBED_OPTS?.search?.placeholder === 'string';
+  let explicitChatPlaceholder = hasAttr('data-chat-placeholder') || typeof W.CC_EMBED_OPTS?.chat?.placeholder === 'string';
+  let explicitChatTitle = hasAttr('data-chat-title') || typeof W.CC_EMBED_OPTS?.chat?.title === 'string';
+  let explicitChatLabel = hasAttr('data-chat-label') || typeof W.CC_EMBED_OPTS?.chat?.launcherLabel === 'string';
+  let explicitChatEndpoint = hasAttr('data-chat-endpoint') || typeof W.CC_EMBED_OPTS?.chat?.endpoint === 'string';
+  let explicitChatStarters = Array.isArray(W.CC_EMBED_OPTS?.chat?.starters);
+  let explicitChatHandoff = hasAttr('data-chat-handoff') || typeof W.CC_EMBED_OPTS?.chat?.handoff === 'boolean';
+  let explicitHandoffMinConfidence = hasAttr('data-chat-handoff-min-confidence') || W.CC_EMBED_OPTS?.chat?.handoffMinConfidence != null;
+  let explicitChatShowPdfPreview = hasAttr('data-chat-show-pdf-preview') || typeof W.CC_EMBED_OPTS?.chat?.showPdfPreview === 'boolean';
+  let explicitMessagesAccent = hasAttr('data-messages-accent') || typeof W.CC_EMBED_OPTS?.messages?.accent === 'string';
+  let explicitDockPosition = hasAttr('data-dock-position') || hasAttr('data-toolbar-position') || typeof W.CC_EMBED_OPTS?.dock?.position === 'string' || typeof W.CC_EMBED_OPTS?.toolbar?.position === 'string';
+  let explicitThemeMode = hasAttr('data-theme-mode') || typeof W.CC_EMBED_OPTS?.theme?.mode === 'string';
+  let explicitDockDensity = hasAttr('data-dock-density') || hasAttr('data-toolbar-density') || typeof W.CC_EMBED_OPTS?.dock?.density === 'string' || typeof W.CC_EMBED_OPTS?.toolbar?.density === 'string';
   const cfg = {
     // Core analytics + search
     siteId: cfgAttr('data-site-id') || W.CC_EMBED_SITE_ID || W.CC_EMBED_OPTS?.siteId || metaSiteId || '',
@@ -98,7 +103,15 @@
     search: {
       endpoint: derive('search'),
       placeholder: cfgAttr('data-search-placeholder') || 'Search…',
-      hotkey: (cfgAttr('data-search-hotkey') || 'Ctrl+K').toLowerCase(),
+      // Comma-separated bindings, e.g. "mod+k, /" (mod = ⌘ on macOS, Ctrl elsewhere); "off" disables
+      hotkey: (cfgAttr('data-search-hotkey') || W.CC_EMBED_OPTS?.search?.hotkey || 'mod+k').toLowerCase(),
+      // 'more' (button), 'infinite' (load on scroll) or 'off'
+      paging: String(cfgAttr('data-search-paging') || W.CC_EMBED_OPTS?.search?.paging || 'more').toLowerCase(),
+      pageSize: parseInt(cfgAttr('data-search-page-size') || W.CC_EMBED_OPTS?.search?.pageSize || '20', 10),
+      popular: Array.isArray(W.CC_EMBED_OPTS?.search?.popular) ? W.CC_EMBED_OPTS.search.popular : [],
+      // Offer "Ask AI" when fewer results than this come back, or the top `score` is below askMinScore
+      askMinResults: parseInt(cfgAttr('data-search-ask-min-results') || W.CC_EMBED_OPTS?.search?.askMinResults || '3', 10),
+      askMinScore: parseFloat(cfgAttr('data-search-ask-min-score') || W.CC_EMBED_OPTS?.search?.askMinScore || '0.3'),
       enabled: cfgAttr('data-search-enabled') != null ? cfgAttr('data-search-enabled') === 'true' : (typeof W.CC_EMBED_OPTS?.search?.enabled === 'boolean' ? !!W.CC_EMBED_OPTS?.search?.enabled : false),
       accent: cfgAttr('data-search-accent') || W.CC_EMBED_OPTS?.search?.accent || '#336699', // title color
       logoLight: cfgAttr('data-search-logo-light') || assetUrl('cc-symbol-light-bg.svg'),
@@ -108,10 +121,28 @@
       endpoint: cfgAttr('data-chat-endpoint') || W.CC_EMBED_OPTS?.chat?.endpoint || derive('chat'),
       enabled: cfgAttr('data-chat-enabled') != null ? cfgAttr('data-chat-enabled') === 'true' : (typeof W.CC_EMBED_OPTS?.chat?.enabled === 'boolean' ? !!W.CC_EMBED_OPTS?.chat?.enabled : false),
       placeholder: cfgAttr('data-chat-placeholder') || 'Ask about this website…',
+      // Off unless the site opts in (e.g. "mod+j"), so host page shortcuts stay untouched
+      hotkey: (cfgAttr('data-chat-hotkey') || W.CC_EMBED_OPTS?.chat?.hotkey || '').toLowerCase(),
       accent: cfgAttr('data-chat-accent') || W.CC_EMBED_OPTS?.chat?.accent || cfgAttr('data-search-accent') || W.CC_EMBED_OPTS?.search?.accent || '#336699',
       name: cfgAttr('data-chat-name') || W.CC_EMBED_OPTS?.chat?.name || COMPASS_AI_NAME,
       title: cfgAttr('data-chat-title') || W.CC_EMBED_OPTS?.chat?.title || `Ask ${COMPASS_AI_NAME}`,
       launcherLabel: cfgAttr('data-chat-label') || W.CC_EMBED_OPTS?.chat?.launcherLabel || `Ask ${COMPASS_AI_NAME}`,
+      // Send URL/title/description of the current page with each question
+      pageContext: cfgAttr('data-chat-page-context') != null ? cfgAttr('data-chat-page-context') !== 'false' : W.CC_EMBED_OPTS?.chat?.pageContext !== false,
+      // Floating "Ask … about this" button when the visitor selects text on the page
+      selectionButton: cfgAttr('data-chat-selection-button') != null ? cfgAttr('data-chat-selection-button') !== 'false' : W.CC_EMBED_OPTS?.chat?.selectionButton !== false,
+      // Human handoff: contact form offered on fallback/low-confidence answers and errors.
+      // Opt-in (attribute, option or site config), since it needs the backend's handoff route.
+      handoff: cfgAttr('data-chat-handoff') != null ? cfgAttr('data-chat-handoff') === 'true' : W.CC_EMBED_OPTS?.chat?.handoff === true,
+      handoffMinConfidence: (function(){
+        const raw = cfgAttr('data-chat-handoff-min-confidence') ?? W.CC_EMBED_OPTS?.chat?.handoffMinConfidence;
+        const n = raw != null && raw !== '' ? Number(raw) : NaN;
+        return Number.isFinite(n) ? n : 0.5;
+      })(),
+      // { label, title, body, submitLabel, fields } — fields use the campaign form field shape
+      handoffForm: W.CC_EMBED_OPTS?.chat?.handoffForm && typeof W.CC_EMBED_OPTS.chat.handoffForm === 'object' ? W.CC_EMBED_OPTS.chat.handoffForm : {},
+      // Starter prompts: strings or { q, path } where path is a glob ("/pricing", "/blog/*") or a list of them
+      starters: Array.isArray(W.CC_EMBED_OPTS?.chat?.starters) ? W.CC_EMBED_OPTS.chat.starters : [],
       minSpinnerMs: parseInt(cfgAttr('data-chat-min-spinner-ms') || W.CC_EMBED_OPTS?.chat?.minSpinnerMs || '5000', 10),
       showPdfPreview: cfgAttr('data-chat-show-pdf-preview') != null
         ? cfgAttr('data-chat-show-pdf-preview') === 'true'
@@ -132,19 +163,54 @@
       density: cfgAttr('data-dock-density') || cfgAttr('data-toolbar-density') || W.CC_EMBED_OPTS?.dock?.density || W.CC_EMBED_OPTS?.toolbar?.density || 'compact',
     },
 
+    // 'auto' follows the host page (.dark / data-theme, then prefers-color-scheme), or 'light' / 'dark'
+    theme: {
+      mode: String(cfgAttr('data-theme-mode') || W.CC_EMBED_OPTS?.theme?.mode || 'auto').toLowerCase(),
+    },
+    // 'none' (widgets in document.body) or 'shadow' (widgets in an isolated shadow root)
+    isolation: String(cfgAttr('data-isolation') || W.CC_EMBED_OPTS?.isolation || 'none').toLowerCase(),
+    // Opens the keyboard shortcut help overlay; off unless the site opts in (e.g. "?")
+    helpHotkey: (cfgAttr('data-help-hotkey') || W.CC_EMBED_OPTS?.helpHotkey || '').toLowerCase(),
+
     // Behavior
     autoInit: (cfgAttr('data-auto-init') || 'true') === 'true',
     consentRequired: (cfgAttr('data-consent-required') || 'false') === 'true',
+    consentPurge: (cfgAttr('data-consent-purge') || 'true') === 'true',
+    // 'off' | 'on' | 'fallback' (anonymous only when DNT/GPC is set)
+    anonymousMode: String(cfgAttr('data-anonymous-mode') || W.CC_EMBED_OPTS?.anonymousMode || 'off').toLowerCase(),
+    // Where persistent visitor/session IDs live: 'local' (localStorage, per origin) or 'cookie'
+    // (first-party cookies shared across subdomains of cookieDomain; 'auto' = registrable domain)
+    identityStorage: String(cfgAttr('data-identity-storage') || W.CC_EMBED_OPTS?.identityStorage || 'local').toLowerCase(),
+    cookieDomain: String(cfgAttr('data-cookie-domain') || W.CC_EMBED_OPTS?.cookieDomain || 'auto').toLowerCase(),
+    // Share of page loads (0–1) that collect Core Web Vitals
+    vitalsSampleRate: (function(){
+      const raw = cfgAttr('data-vitals-sample-rate') ?? W.CC_EMBED_OPTS?.vitalsSampleRate;
+      const n = raw != null && raw !== '' ? Number(raw) : NaN;
+      return Number.isFinite(n) ? n : 1;
+    })(),
+    // IANA zone whose midnight starts a new session (defaults to the visitor's zone)
+    siteTimezone: cfgAttr('data-site-timezone') || W.CC_EMBED_OPTS?.siteTimezone || '',
+    // Extra query parameter names to strip in anonymous mode (comma-separated attribute or array option)
+    piiParams: (cfgAttr('data-pii-params') != null
+      ? String(cfgAttr('data-pii-params')).split(',')
+      : (Array.isArray(W.CC_EMBED_OPTS?.piiParams) ? W.CC_EMBED_OPTS.piiParams : String(W.CC_EMBED_OPTS?.piiParams || '').split(',')))
+      .map((x)=> String(x).trim().toLowerCase()).filter(Boolean),
 
     // Tunables
     sessionTimeoutMs: parseInt(cfgAttr('data-session-timeout-ms') || '1800000', 10), // 30m
-    heartbeatMs: parseInt(cfgAttr('data-heartbeat-ms') || '30000', 10),              // 30s
+    // 30s without input = idle; the retired data-heartbeat-ms still sets it
+    idleTimeoutMs: parseInt(cfgAttr('data-idle-timeout-ms') || cfgAttr('data-heartbeat-ms') || '30000', 10),
     maxBatch: parseInt(cfgAttr('data-max-batch') || '20', 10),
+    queueMaxEvents: parseInt(cfgAttr('data-queue-max-events') || '500', 10),
+    queueMaxAgeMs: parseInt(cfgAttr('data-queue-max-age-ms') || '86400000', 10),  // 24h
+    retryMaxMs: parseInt(cfgAttr('data-retry-max-ms') || '300000', 10),           // 5m
   };
 
   // Debug helper (optional)
   W.__CC_EMBED_CFG__ = cfg;
-  if (!cfg.siteId) { try { console.warn('[CC embed] Missing siteId. Set data-site-id or <meta name="cc-verification">'); } catch {} }
+  if (!cfg.siteId && cfg.autoInit) { try { console.warn('[CC embed] Missing siteId. Set data-site-id or <meta name="cc-verification">'); } catch {} }
+  const HEARTBEAT_WARNING = '[CC embed] heartbeatMs is deprecated: engaged time replaced the heartbeat. Use idleTimeoutMs (data-idle-timeout-ms).';
+  if (hasAttr('data-heartbeat-ms')) { try { console.warn(HEARTBEAT_WARNING); } catch {} }
 
   // --- Small utils -----------------------------------------------------------
   const now = ()=> Date.now();
@@ -156,7 +222,28 @@
     set(k, v){ try{ localStorage.setItem(k, JSON.stringify(v)) }catch{} },
     del(k){ try{ localStorage.removeItem(k) }catch{} }
   };
+  const ss = {
+    get(k, def=null){ try{ const v=sessionStorage.getItem(k); return v?JSON.parse(v):def }catch{ return def }},
+    set(k, v){ try{ sessionStorage.setItem(k, JSON.stringify(v)) }catch{} },
+    del(k){ try{ sessionStorage.removeItem(k) }catch{} }
+  };
   const clamp = (n,min,max)=> Math.max(min, Math.min(max, n));
+  const isValidEmail = (email)=> /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || '').trim());
+
+  // Teardown registry: page-level listeners, intervals and observers record an undo step
+  // so CC.embed.destroy() can remove every trace of the embed
+  let destroyed = false;
+  const cleanups = [];
+  function onCleanup(fn){ cleanups.push(fn) }
+  function listen(target, type, fn, opts){
+    if (!target?.addEventListener) return;
+    target.addEventListener(type, fn, opts);
+    onCleanup(()=> target.removeEventListener(type, fn, opts));
+  }
+  function every(fn, ms){
+    const id = W.setInterval(fn, ms);
+    onCleanup(()=> W.clearInterval(id));
+  }
 
   // Site-key validation state
   let siteKeyOk = cfg.siteId ? null : false; // null = unknown, true = valid, false = invalid/disabled
@@ -168,17 +255,106 @@
   })();
   function isDarkMode(){
     try {
-      const docEl = D.documentElement;
-      if (docEl){
-        if (docEl.classList.contains('dark')) return true;
-        const themeAttr = docEl.getAttribute('data-theme') || docEl.getAttribute('data-color-mode');
-        if (themeAttr && String(themeAttr).toLowerCase().includes('dark')) return true;
+      for (const el of [D.documentElement, D.body]){
+        if (!el) continue;
+        if (el.classList.contains('dark')) return true;
+        if (el.classList.contains('light')) return false;
+        const themeAttr = String(el.getAttribute('data-theme') || el.getAttribute('data-color-mode') || '').toLowerCase();
+        if (themeAttr.includes('dark')) return true;
+        if (themeAttr.includes('light')) return false;
       }
       if (darkMql) return darkMql.matches;
     } catch {}
     return false;
   }
 
+  // --- Theme -----------------------------------------------------------------
+  // Design tokens per variant. Layering (later wins): defaults, site config `theme`,
+  // then `CC_EMBED_OPTS.theme` / `data-theme-*` attributes. Each source may set shared
+  // tokens at the top level and per-variant ones under `light` / `dark`, e.g.
+  //   theme: { mode:'auto', radius:'12px', dark:{ surface:'#0b1220', accent:'#7dd3fc' } }
+  const THEME_TOKENS = ['surface', 'surfaceAlt', 'text', 'textMuted', 'border', 'radius', 'font', 'shadow', 'accent'];
+  const THEME_FONT = 'system-ui, -apple-system, Segoe UI, Roboto';
+  const THEME_DEFAULTS = {
+    light: { surface:'#ffffff', surfaceAlt:'#f9fafb', text:'#111827', textMuted:'#6b7280', border:'#e5e7eb', radius:'16px', font:THEME_FONT, shadow:'0 10px 30px rgba(0,0,0,.2)', accent:'' },
+    dark: { surface:'#111827', surfaceAlt:'#1f2937', text:'#f3f4f6', textMuted:'#9ca3af', border:'#374151', radius:'16px', font:THEME_FONT, shadow:'0 10px 30px rgba(0,0,0,.55)', accent:'' },
+  };
+  const tokenAttr = (prefix, key)=> cfgAttr(prefix + key.replace(/[A-Z]/g, (c)=> '-' + c.toLowerCase()));
+  function pickThemeTokens(src, attrPrefix){
+    const out = {};
+    THEME_TOKENS.forEach((key)=>{
+      let v = attrPrefix ? tokenAttr(attrPrefix, key) : null;
+      if (v == null && src && typeof src === 'object') v = src[key];
+      if (key === 'radius' && typeof v === 'number' && Number.isFinite(v)) v = v + 'px';
+      if (typeof v === 'string' && v.trim()) out[key] = v.trim();
+    });
+    return out;
+  }
+  function readTheme(src, withAttrs){
+    const t = (src && typeof src === 'object') ? src : {};
+    return {
+      base: pickThemeTokens(t, withAttrs && 'data-theme-'),
+      light: pickThemeTokens(t.light, withAttrs && 'data-theme-light-'),
+      dark: pickThemeTokens(t.dark, withAttrs && 'data-theme-dark-'),
+    };
+  }
+  let clientTheme = readTheme(W.CC_EMBED_OPTS?.theme, true);
+  let serverTheme = readTheme(null);
+  function themeVariant(){
+    const mode = cfg.theme.mode;
+    if (mode === 'light' || mode === 'dark') return mode;
+    return isDarkMode() ? 'dark' : 'light';
+  }
+  function themeTokens(variant = themeVariant()){
+    return Object.assign({}, THEME_DEFAULTS[variant], serverTheme.base, serverTheme[variant], clientTheme.base, clientTheme[variant]);
+  }
+
+  // Re-theme open widgets when the host flips .dark / data-theme or the OS preference changes
+  let themeObserver = null;
+  let appliedVariant = '';
+  function syncLogo(img){
+    const src = img.getAttribute(themeVariant() === 'dark' ? 'data-logo-dark' : 'data-logo-light');
+    if (src && img.getAttribute('src') !== src) img.src = src;
+  }
+  function themedLogo(img, light, dark){
+    img.setAttribute('data-logo-light', light || dark || '');
+    img.setAttribute('data-logo-dark', dark || light || '');
+    syncLogo(img);
+    return img;
+  }
+  function applyTheme(force){
+    const variant = themeVariant();
+    if (!force && variant === appliedVariant) return;
+    appliedVariant = variant;
+    try{
+      const root = useShadow() ? uiShadow : D;
+      if (!root) return;
+      const style = root.getElementById('cc-embed-style');
+      if (style) style.textContent = styleText();
+      root.querySelectorAll('img[data-logo-light]').forEach(syncLogo);
+    }catch{}
+  }
+  function watchTheme(){
+    if (themeObserver) return;
+    const onChange = ()=> applyTheme(false);
+    try{
+      if (typeof W.MutationObserver === 'function'){
+        const observer = themeObserver = new W.MutationObserver(onChange);
+        const opts = { attributes:true, attributeFilter:['class', 'data-theme', 'data-color-mode'] };
+        if (D.documentElement) observer.observe(D.documentElement, opts);
+        if (D.body) observer.observe(D.body, opts);
+        onCleanup(()=> observer.disconnect());
+      }
+      if (darkMql){
+        if (darkMql.addEventListener) listen(darkMql, 'change', onChange);
+        else if (darkMql.addListener){
+          darkMql.addListener(onChange);
+          onCleanup(()=> darkMql.removeListener(onChange));
+        }
+      }
+    }catch{}
+  }
+
   // Pull enabled controls from brand settings (public config API)
   async function loadSiteUiConfig(){
     try{
@@ -202,7 +378,24 @@
         const accent = String(c.accent || s.accent || cfg.chat.accent || cfg.search.accent || '').trim();
         if (accent) cfg.messages.accent = accent;
       }
+      const tz = json.timezone || json.settings?.timezone;
+      if (!cfg.siteTimezone && typeof tz === 'string' && tz.trim()) cfg.siteTimezone = tz.trim();
+      if (json.theme && typeof json.theme === 'object'){
+        serverTheme = readTheme(json.theme);
+        if (!explicitThemeMode && typeof json.theme.mode === 'string' && json.theme.mode.trim()) cfg.theme.mode = json.theme.mode.trim().toLowerCase();
+      }
       if (!explicitSearchPlaceholder && typeof s.placeholder === 'string' && s.placeholder.trim()) cfg.search.placeholder = s.placeholder.trim();
+      const popular = s.popular || s.popularSearches;
+      if (Array.isArray(popular)) cfg.search.popular = popular.map((x)=> String(x?.q || x?.query || x || '').trim()).filter(Boolean).slice(0, 8);
+      const h = c.handoff;
+      if (typeof h === 'boolean'){ if (!explicitChatHandoff) cfg.chat.handoff = h }
+      else if (h && typeof h === 'object'){
+        if (!explicitChatHandoff && typeof h.enabled === 'boolean') cfg.chat.handoff = h.enabled;
+        if (!explicitHandoffMinConfidence && typeof h.minConfidence === 'number' && Number.isFinite(h.minConfidence)) cfg.chat.handoffMinConfidence = h.minConfidence;
+        cfg.chat.handoffForm = Object.assign({}, h, cfg.chat.handoffForm);
+      }
+      const starters = c.starters || c.starterPrompts || c.suggestedQuestions;
+      if (!explicitChatStarters && Array.isArray(starters)) cfg.chat.starters = starters;
       if (!explicitChatPlaceholder && typeof c.placeholder === 'string' && c.placeholder.trim()) cfg.chat.placeholder = c.placeholder.trim();
       if (!explicitChatTitle && typeof c.title === 'string' && c.title.trim()) cfg.chat.title = c.title.trim();
       if (!explicitChatLabel && typeof c.launcherLabel === 'string' && c.launcherLabel.trim()) cfg.chat.launcherLabel = c.launcherLabel.trim();
@@ -220,12 +413,24 @@
       siteId: cfg.siteId || '',
       vid: getVisitorId(),
       sid: getSessionId(),
+      uid: getUserId(),
       path: L.pathname || '',
       ts: now()
     };
     return ctx;
   }
 
+  // Page the visitor is asking from (sent with chat questions)
+  function pageContext(){
+    const meta = (sel)=>{ try { return String(D.querySelector(sel)?.getAttribute('content') || '').trim() } catch { return '' } };
+    return {
+      url: scrubUrl(L.href),
+      path: L.pathname || '',
+      title: String(D.title || '').trim().slice(0, 300),
+      description: (meta('meta[name="description"]') || meta('meta[property="og:description"]')).slice(0, 500),
+    };
+  }
+
   // Resolve URL for site-key validation
   function buildValidateUrl(){
     try{
@@ -249,6 +454,14 @@
   // Safe HTML & highlight helpers
   function escapeHTML(s){ return String(s).replace(/[&<>"']/g, c=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;','\'':'&#39;' }[c])) }
   function escapeRegExp(s){ return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') }
+  // Path globs: "*" matches any run of characters; a trailing "/*" also matches the bare prefix
+  function pathMatches(pattern, path){
+    const src = String(pattern || '').trim();
+    if (!src) return false;
+    const body = escapeRegExp(src.replace(/\/\*$/, '')).replace(/\\\*/g, '.*');
+    const rx = new RegExp(`^${body}${src.endsWith('/*') ? '(/.*)?' : ''}/?$`, 'i');
+    return rx.test(String(path || '/'));
+  }
   function highlightHTML(text, q){
     const src = String(text || '');
     if (!q) return escapeHTML(src);
@@ -256,39 +469,550 @@
     return escapeHTML(src).replace(rx, '<mark class="cc-hl">$1</mark>'); // non-destructive wrap
   }
 
+  // Markdown subset for AI answers, built as DOM nodes (never innerHTML): paragraphs, headings,
+  // lists, quotes, rules, fenced/inline code, bold, italic and links. `[n]` / `[1, 2]` markers go
+  // through `opts.cite(n)`, which returns an element or null (left as plain text).
+  const MD_INLINE_RX = /`([^`\n]+)`|\[([^\]\n]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+"[^"\n]*")?\s*\)|\[(\d{1,2}(?:\s*,\s*\d{1,2})*)\]|\*\*([^*\n]+?)\*\*|__([^_\n]+?)__|\*([^*\s][^*\n]*?)\*|(^|[^\w])_([^_\s][^_\n]*?)_(?!\w)/g;
+  function renderInline(parent, text, opts){
+    const src = String(text || '');
+    const rx = new RegExp(MD_INLINE_RX.source, 'g');
+    let last = 0;
+    let m;
+    const el = (tag, className)=>{ const n = D.createElement(tag); if (className) n.className = className; parent.appendChild(n); return n };
+    while ((m = rx.exec(src))){
+      if (m.index > last) parent.appendChild(D.createTextNode(src.slice(last, m.index)));
+      last = rx.lastIndex;
+      if (m[1] != null) el('code', 'cc-md-code').textContent = m[1];
+      else if (m[2] != null){
+        // No links or citation buttons inside link text (nested interactive elements)
+        const href = opts?.inLink ? '' : safeHref(m[3]);
+        if (!href){ renderInline(parent, m[2], opts); continue }
+        const a = el('a', 'cc-md-link');
+        a.href = href;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+        renderInline(a, m[2], Object.assign({}, opts, { inLink: true }));
+        if (opts?.onLink) a.addEventListener('click', ()=> opts.onLink(href));
+      }
+      else if (m[4] != null){
+        const marks = m[4].split(/\s*,\s*/).map((n)=> opts?.cite && !opts.inLink ? opts.cite(Number(n)) : null);
+        if (marks.some((x)=> !x)) parent.appendChild(D.createTextNode(m[0]));
+        else marks.forEach((x)=> parent.appendChild(x));
+      }
+      else if (m[5] != null || m[6] != null) renderInline(el('strong'), m[5] ?? m[6], opts);
+      else if (m[7] != null) renderInline(el('em'), m[7], opts);
+      else {
+        if (m[8]) parent.appendChild(D.createTextNode(m[8]));
+        renderInline(el('em'), m[9], opts);
+      }
+    }
+    if (last < src.length) parent.appendChild(D.createTextNode(src.slice(last)));
+  }
+  function renderMarkdown(parent, text, opts){
+    parent.textContent = '';
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const LIST_RX = /^\s*([-*+]|\d{1,3}[.)])\s+(.*)$/;
+    let para = null;
+    let list = null;
+    let quote = null;
+    const block = (tag, className)=>{
+      para = null; list = null; quote = null;
+      const n = D.createElement(tag);
+      if (className) n.className = className;
+      parent.appendChild(n);
+      return n;
+    };
+    for (let i = 0; i < lines.length; i++){
+      const line = lines[i];
+      let m;
+      if (/^\s*```/.test(line)){
+        const code = [];
+        while (++i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i]);
+        block('pre', 'cc-md-pre').appendChild(D.createElement('code')).textContent = code.join('\n');
+      } else if (!line.trim()){
+        para = null; list = null; quote = null;
+      } else if ((m = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/))){
+        const h = block('div', 'cc-md-h');
+        h.setAttribute('role', 'heading');
+        h.setAttribute('aria-level', String(Math.min(6, m[1].length + 2)));
+        renderInline(h, m[2], opts);
+      } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)){
+        block('hr', 'cc-md-hr');
+      } else if ((m = line.match(LIST_RX))){
+        const tag = /\d/.test(m[1]) ? 'ol' : 'ul';
+        if (!list || list.tagName.toLowerCase() !== tag){
+          list = block(tag, 'cc-md-list');
+          if (tag === 'ol' && parseInt(m[1], 10) > 1) list.setAttribute('start', String(parseInt(m[1], 10)));
+        }
+        renderInline(list.appendChild(D.createElement('li')), m[2], opts);
+      } else if ((m = line.match(/^\s*>\s?(.*)$/))){
+        if (quote) quote.appendChild(D.createElement('br'));
+        else quote = block('blockquote', 'cc-md-quote');
+        renderInline(quote, m[1], opts);
+      } else if (list && /^\s{2,}\S/.test(line)){
+        // continuation of the previous list item
+        const li = list.lastChild;
+        li.appendChild(D.createTextNode(' '));
+        renderInline(li, line.trim(), opts);
+      } else {
+        if (para) para.appendChild(D.createElement('br'));
+        else { para = block('p', 'cc-md-p') }
+        renderInline(para, line, opts);
+      }
+    }
+  }
+
+  // End of the markdown that can no longer change while more text streams in: the last blank
+  // line outside a code fence. `from` must itself be such a point (or 0).
+  function stableMarkdownEnd(text, from){
+    const lines = String(text || '').slice(from).split('\n');
+    let pos = from, end = from, inFence = false;
+    for (let i = 0; i < lines.length - 1; i++){ // the last line may still be growing
+      if (/^\s*```/.test(lines[i])) inFence = !inFence;
+      else if (!inFence && !lines[i].trim()) end = pos;
+      pos += lines[i].length + 1;
+    }
+    return end;
+  }
+
   // --- Privacy gates ---------------------------------------------------------
   const dnt = (N.doNotTrack == '1' || N.msDoNotTrack == '1' || W.doNotTrack == '1');
-  const hasConsent = ()=> !cfg.consentRequired || !!ls.get('cc_consent_granted', false);
-  const readyToTrack = ()=> !dnt && hasConsent() && !!cfg.siteId && !!cfg.endpoint;
+  const gpc = (N.globalPrivacyControl === true || N.globalPrivacyControl == '1');
+  const privacySignal = dnt || gpc;
+  // Anonymous mode: 'on' always, 'fallback' only when DNT/GPC is set (instead of dropping everything)
+  const anonymousMode = ()=> cfg.anonymousMode === 'on' || (cfg.anonymousMode === 'fallback' && privacySignal);
+  const readyToTrack = ()=> (!privacySignal || anonymousMode()) && hasConsent('analytics') && !!cfg.siteId && !!cfg.endpoint;
+
+  // Query parameters that commonly carry personal data or secrets
+  const PII_PARAM_RX = /^(e-?mail|mail|email_?address|user_?email|token|access_?token|id_?token|refresh_?token|auth|authorization|code|password|passwd|pwd|pass|secret|api_?key|apikey|key|session|phone|tel|mobile|ssn|first_?name|last_?name|full_?name|name|address|zip|postcode|dob|birth_?date)$/i;
+  const EMAIL_VALUE_RX = /[^\s@]+@[^\s@]+\.[^\s@]+/;
+  function scrubUrl(raw){
+    const href = String(raw || '');
+    if (!href) return href;
+    try {
+      const u = new URL(href, L.href);
+      Array.from(u.searchParams.keys()).forEach((k)=>{
+        if (PII_PARAM_RX.test(k) || cfg.piiParams.includes(k.toLowerCase()) || u.searchParams.getAll(k).some((v)=> EMAIL_VALUE_RX.test(v))) u.searchParams.delete(k);
+      });
+      u.hash = '';
+      return u.toString();
+    } catch { return href.replace(/[?#].*$/, '') }
+  }
+  function referrerOrigin(raw){
+    try { return raw ? new URL(raw).origin : null } catch { return null }
+  }
+  // Current page URL as it may leave the browser (scrubbed in anonymous mode)
+  const pageUrl = ()=> anonymousMode() ? scrubUrl(L.href) : String(L.href);
+  // 53-bit string hash (cyrb53); used for the daily-rotating anonymous visitor ID
+  function hashString(str){
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++){
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+  }
+  // Anonymous visitor ID: hash of site, UTC day and a random salt. The salt is shared by the
+  // browser's tabs (localStorage, else memory) and replaced when the day changes, so a visitor
+  // counts once per day and cannot be linked across days. Nothing is derived from the browser.
+  const ANON_KEY = 'cc_anon';
+  let anonMemory = null;
+  function anonymousVisitorId(){
+    const day = new Date().toISOString().slice(0, 10);
+    let rec = ls.get(ANON_KEY) || anonMemory;
+    if (!rec || rec.day !== day || !rec.salt){
+      rec = { day, salt: uuid() };
+      ls.set(ANON_KEY, rec);
+    }
+    anonMemory = rec;
+    return `anon-${hashString([cfg.siteId, day, rec.salt].join('|'))}`;
+  }
+
+  // --- Consent (per purpose) -------------------------------------------------
+  // Purposes: analytics events, campaign messaging, chat personalization and
+  // persistent identifiers. Explicit choices (API calls or CMP signals) are stored;
+  // a purpose without a stored choice falls back to `!consentRequired`.
+  const CONSENT_KEY = 'cc_consent';
+  const LEGACY_CONSENT_KEY = 'cc_consent_granted';
+  const CONSENT_PURPOSES = ['analytics', 'messaging', 'chat', 'identifiers'];
+  const consentListeners = new Set();
+  let consentState = (function(){
+    const stored = ls.get(CONSENT_KEY, null);
+    if (stored && typeof stored === 'object') return stored;
+    // Legacy single-flag consent grants every purpose
+    if (ls.get(LEGACY_CONSENT_KEY, false)) return { analytics:true, messaging:true, chat:true, identifiers:true };
+    return {};
+  })();
+  function hasConsent(purpose){
+    const p = purpose || 'analytics';
+    if (typeof consentState[p] === 'boolean') return consentState[p];
+    return !cfg.consentRequired;
+  }
+  function consentSnapshot(){
+    return CONSENT_PURPOSES.reduce((o, p)=>{ o[p] = hasConsent(p); return o }, {});
+  }
+  function consentPurposes(purposes){
+    if (purposes == null) return CONSENT_PURPOSES.slice();
+    return (Array.isArray(purposes) ? purposes : [purposes]).map(String).filter((p)=> CONSENT_PURPOSES.includes(p));
+  }
+  function setConsent(choices, source){
+    const before = consentSnapshot();
+    consentState = Object.assign({}, consentState, choices, { ts: now(), source: source || 'api' });
+    ls.set(CONSENT_KEY, consentState);
+    ls.del(LEGACY_CONSENT_KEY);
+    const after = consentSnapshot();
+    const changed = CONSENT_PURPOSES.filter((p)=> before[p] !== after[p]);
+    if (!changed.length) return;
+    changed.forEach((p)=> after[p] ? onConsentGranted(p) : onConsentRevoked(p));
+    consentListeners.forEach((fn)=>{ try { fn(Object.assign({}, after), changed.slice()) } catch {} });
+  }
+  function grantConsent(purposes){
+    setConsent(consentPurposes(purposes).reduce((o, p)=>{ o[p] = true; return o }, {}), 'api');
+  }
+  function revokeConsent(purposes){
+    setConsent(consentPurposes(purposes).reduce((o, p)=>{ o[p] = false; return o }, {}), 'api');
+  }
+  function onConsentGranted(purpose){
+    if (purpose === 'identifiers') persistIdentity();
+    if (purpose === 'analytics') scheduleFlush();
+    if (purpose === 'messaging') scheduleCampaignPoll(300);
+  }
+  // With `consentPurge` on (default), withdrawing a purpose also deletes what it stored
+  function onConsentRevoked(purpose){
+    if (!cfg.consentPurge) return;
+    if (purpose === 'analytics') clearQueue();
+    if (purpose === 'identifiers'){ purgeIdentity(); ls.del(SEARCH_HISTORY_KEY) }
+    if (purpose === 'chat') ls.del(CHAT_KEY);
+  }
+
+  // CMP signals: IAB TCF v2 (__tcfapi) and Google Consent Mode (gtag 'consent' commands in dataLayer)
+  function tcfConsent(tc){
+    if (tc.gdprApplies === false) return { analytics:true, messaging:true, chat:true, identifiers:true };
+    const c = tc.purpose?.consents || {};
+    return {
+      identifiers: !!c[1],  // store and/or access information on a device
+      analytics: !!c[8],    // measure content performance
+      chat: !!c[5],         // create profiles to personalise content
+      messaging: !!c[6],    // use profiles to select personalised content
+    };
+  }
+  let consentModeIndex = 0;
+  function applyConsentModeEntry(entry){
+    if (!entry || typeof entry !== 'object' || entry[0] !== 'consent') return;
+    const command = String(entry[1] || '');
+    const m = entry[2] || {};
+    const granted = (v)=> v === 'granted';
+    const out = {};
+    if (m.analytics_storage){ out.analytics = granted(m.analytics_storage); out.identifiers = granted(m.analytics_storage) }
+    if (m.personalization_storage){ out.chat = granted(m.personalization_storage); out.messaging = granted(m.personalization_storage) }
+    // 'default' only fills purposes that have no stored choice yet
+    if (command === 'default') Object.keys(out).forEach((k)=>{ if (typeof consentState[k] === 'boolean') delete out[k] });
+    else if (command !== 'update') return;
+    if (Object.keys(out).length) setConsent(out, 'consent_mode');
+  }
+  function syncConsentMode(){
+    try{
+      const dl = W.dataLayer;
+      if (!Array.isArray(dl)) return;
+      if (consentModeIndex > dl.length) consentModeIndex = 0;
+      for (; consentModeIndex < dl.length; consentModeIndex++) applyConsentModeEntry(dl[consentModeIndex]);
+    }catch{}
+  }
+  function watchConsentSignals(){
+    try{
+      if (typeof W.__tcfapi === 'function'){
+        const tcfapi = W.__tcfapi;
+        let listenerId = null;
+        tcfapi('addEventListener', 2, (tc, success)=>{
+          if (!success || !tc) return;
+          if (tc.listenerId != null) listenerId = tc.listenerId;
+          if (destroyed) return;
+          if (tc.eventStatus !== 'tcloaded' && tc.eventStatus !== 'useractioncomplete') return;
+          setConsent(tcfConsent(tc), 'tcf');
+        });
+        onCleanup(()=>{ if (listenerId != null) tcfapi('removeEventListener', 2, ()=>{}, listenerId) });
+      }
+    }catch{}
+    syncConsentMode();
+    try{
+      const dl = W.dataLayer;
+      if (Array.isArray(dl)){
+        const push = dl.push;
+        const wrapped = function(){ const r = push.apply(this, arguments); syncConsentMode(); return r };
+        dl.push = wrapped;
+        onCleanup(()=>{ if (dl.push === wrapped) dl.push = push });
+      }
+    }catch{}
+  }
 
   // --- Identity (visitor + session) -----------------------------------------
+  // Without 'identifiers' consent (or in anonymous mode), IDs live in memory only
+  // (one page lifetime); anonymous mode also swaps the visitor ID for a daily hash.
   const VID_KEY = 'cc_vid';
   const SID_KEY = 'cc_sid';
-  function getVisitorId(){ let id=ls.get(VID_KEY); if(!id){ id=uuid(); ls.set(VID_KEY, id) } return id }
+  const REF_KEY = 'cc_ref';
+  const CHAT_KEY = 'cc_chat';
+  // Recent search queries and opened results (needs 'identifiers' consent; never in anonymous mode)
+  const SEARCH_HISTORY_KEY = 'cc_search_history';
+  const USER_KEY = 'cc_user';
+  const memIds = {};
+  const persistentIds = ()=> hasConsent('identifiers') && !anonymousMode();
+
+  // Cookie-backed store for the identity keys (data-identity-storage="cookie"). Falls back to
+  // localStorage when cookies are blocked; existing localStorage values move over on first read.
+  const COOKIE_MAX_AGE_S = 365 * 24 * 3600;
+  let cookieDomainCache;
+  function readCookie(name){
+    try{
+      const hit = String(D.cookie || '').split(/;\s*/).find((c)=> c.slice(0, name.length + 1) === name + '=');
+      return hit ? decodeURIComponent(hit.slice(name.length + 1)) : null;
+    }catch{ return null }
+  }
+  function writeCookie(name, value, maxAge, domain){
+    try{
+      const parts = [`${name}=${encodeURIComponent(value)}`, 'path=/', `max-age=${maxAge}`, 'SameSite=Lax'];
+      if (domain) parts.push(`domain=${domain}`);
+      if (L.protocol === 'https:') parts.push('Secure');
+      D.cookie = parts.join('; ');
+    }catch{}
+  }
+  // Widest domain the browser accepts a cookie on (skips public suffixes such as co.uk)
+  function cookieDomain(){
+    if (cookieDomainCache !== undefined) return cookieDomainCache;
+    const host = String(L.hostname || '').toLowerCase();
+    cookieDomainCache = '';
+    if (cfg.cookieDomain && cfg.cookieDomain !== 'auto'){
+      cookieDomainCache = cfg.cookieDomain.replace(/^\./, '');
+    } else if (host && !/^[\d.]+$/.test(host) && host.includes('.')){
+      const labels = host.split('.');
+      for (let i = labels.length - 2; i >= 0; i--){
+        const candidate = labels.slice(i).join('.');
+        writeCookie('cc_probe', '1', 10, candidate);
+        const ok = readCookie('cc_probe') === '1';
+        writeCookie('cc_probe', '', 0, candidate);
+        if (ok){ cookieDomainCache = candidate; break }
+      }
+    }
+    return cookieDomainCache;
+  }
+  let cookiesOk = null;
+  function cookiesUsable(){
+    if (cookiesOk !== null) return cookiesOk;
+    cookiesOk = false;
+    try{
+      if (N.cookieEnabled === false) return false;
+      writeCookie('cc_probe', '1', 10, cookieDomain());
+      cookiesOk = readCookie('cc_probe') === '1';
+      writeCookie('cc_probe', '', 0, cookieDomain());
+    }catch{}
+    return cookiesOk;
+  }
+  // Only opaque IDs are shared via cookie; traits (cc_user) and the referrer trail (cc_ref, full
+  // URLs) stay in localStorage
+  const COOKIE_KEYS = [VID_KEY, SID_KEY];
+  // The session record changes on every event. Its cookie is rewritten when the session changes,
+  // at most every SID_COOKIE_WRITE_MS otherwise, and on page hide; reads see the pending value.
+  const SID_COOKIE_WRITE_MS = 30000;
+  let sidPending = null, sidWrittenAt = 0;
+  function writeSessionCookie(){
+    if (!sidPending) return;
+    sidWrittenAt = now();
+    writeCookie(SID_KEY, JSON.stringify(sidPending), COOKIE_MAX_AGE_S, cookieDomain());
+  }
+  const cookieStore = {
+    get(k, def=null){
+      const raw = readCookie(k);
+      if (k === SID_KEY && sidPending){
+        let cur = null;
+        try{ cur = raw != null ? JSON.parse(raw) : null }catch{}
+        if (cur && cur.id === sidPending.id) return sidPending;
+        sidPending = null; // another page on the cookie domain moved the session on
+      }
+      if (raw != null){ try{ return JSON.parse(raw) }catch{ return def } }
+      const legacy = ls.get(k);
+      if (legacy == null) return def;
+      cookieStore.set(k, legacy);
+      if (readCookie(k) != null) ls.del(k);
+      return legacy;
+    },
+    set(k, v){
+      if (k === SID_KEY){
+        const due = !sidPending || sidPending.id !== v?.id || now() - sidWrittenAt >= SID_COOKIE_WRITE_MS;
+        sidPending = v;
+        if (due) writeSessionCookie();
+        return;
+      }
+      writeCookie(k, JSON.stringify(v), COOKIE_MAX_AGE_S, cookieDomain());
+    },
+    del(k){ if (k === SID_KEY) sidPending = null; writeCookie(k, '', 0, cookieDomain()); ls.del(k) },
+  };
+  const useCookies = (k)=> cfg.identityStorage === 'cookie' && COOKIE_KEYS.includes(k) && cookiesUsable();
+  const persistStore = (k)=> useCookies(k) ? cookieStore : ls;
+  // Without persistent IDs the session record still lasts for the tab (sessionStorage, else
+  // memory), so reloads and page views in one visit do not each start a new session
+  const TAB_KEYS = [SID_KEY];
+  const tabStore = {
+    get(k, def=null){
+      const v = TAB_KEYS.includes(k) ? ss.get(k) : null;
+      return v != null ? v : (k in memIds ? memIds[k] : def);
+    },
+    set(k, v){ if (TAB_KEYS.includes(k)) ss.set(k, v); memIds[k] = v },
+    del(k){ ss.del(k); delete memIds[k] },
+  };
+  const idStore = {
+    get(k, def=null){ return persistentIds() ? persistStore(k).get(k, def) : tabStore.get(k, def) },
+    set(k, v){ if (persistentIds()) persistStore(k).set(k, v); else tabStore.set(k, v) },
+  };
+  const dropId = (k)=>{ persistStore(k).del(k); ls.del(k); tabStore.del(k) };
+  function getVisitorId(){ if (anonymousMode()) return anonymousVisitorId(); let id=idStore.get(VID_KEY); if(!id){ id=uuid(); idStore.set(VID_KEY, id) } return id }
+  // Sessions break after sessionTimeoutMs of inactivity, at midnight in the site timezone, and
+  // when the visitor lands from a different UTM campaign. Each break is recorded so enqueue()
+  // can emit session_end for the old session and session_start for the new one.
+  const sessionBreaks = [];
+  let campaignBreakChecked = false;
+  const dayFormats = {};
+  function dayKey(ts){
+    const tz = cfg.siteTimezone || '';
+    try{
+      if (!dayFormats[tz]) dayFormats[tz] = new Intl.DateTimeFormat('en-CA', { timeZone: tz || undefined, year:'numeric', month:'2-digit', day:'2-digit' });
+      return dayFormats[tz].format(ts);
+    }catch{
+      return new Date(ts).toDateString();
+    }
+  }
+  function sessionBreakReason(s, ts){
+    if (!s || !s.id) return 'new';
+    if (s.ended || ts - (s.last || 0) > cfg.sessionTimeoutMs) return 'timeout';
+    if (s.day && s.day !== dayKey(ts)) return 'midnight';
+    // Only the landing page's own UTM can start a new session (once per page load)
+    if (!campaignBreakChecked && utm.utm_campaign && (s.cmp || '') !== utm.utm_campaign) return 'campaign';
+    return '';
+  }
   function getSessionId(){
-    let s = ls.get(SID_KEY);
+    let s = idStore.get(SID_KEY);
     const nowTs = now();
-    if (!s || !s.id || (nowTs - (s.last || 0) > cfg.sessionTimeoutMs)){
-      s = { id: uuid(), started: nowTs, last: nowTs };
-    } else { s.last = nowTs }
-    ls.set(SID_KEY, s); return s.id;
+    const reason = sessionBreakReason(s, nowTs);
+    campaignBreakChecked = true;
+    if (reason){
+      const prev = s && s.id ? s : null;
+      s = { id: uuid(), started: nowTs, last: nowTs, day: dayKey(nowTs), cmp: utm.utm_campaign || '', pages: 0, engaged: 0 };
+      sessionBreaks.push({ reason, prev, next: s });
+      if (sessionBreaks.length > 4) sessionBreaks.shift();
+    } else {
+      s.last = nowTs;
+      if (!s.day) s.day = dayKey(nowTs);
+    }
+    idStore.set(SID_KEY, s); return s.id;
+  }
+  // Extends a live session without an event; an expired one is left to break on the next event
+  function touchSession(){
+    const s = idStore.get(SID_KEY);
+    if (!s || !s.id || s.ended || now() - (s.last || 0) > cfg.sessionTimeoutMs) return;
+    s.last = now();
+    idStore.set(SID_KEY, s);
+  }
+  function bumpSession(key, n){
+    const s = idStore.get(SID_KEY);
+    if (!s || !s.id) return;
+    s[key] = (s[key] || 0) + n;
+    idStore.set(SID_KEY, s);
+  }
+  // Last page of the session (no query string or hash) so a late session_end can point at it
+  function noteSessionPage(){
+    const s = idStore.get(SID_KEY);
+    if (!s || !s.id) return;
+    s.pages = (s.pages || 0) + 1;
+    s.url = L.origin + L.pathname;
+    idStore.set(SID_KEY, s);
+  }
+  function sessionSummary(s, reason){
+    return { sessionId: s.id, reason, duration: Math.max(0, (s.last || s.started || 0) - (s.started || 0)), pages: s.pages || 0, engaged: Math.round(s.engaged || 0) };
+  }
+  function persistIdentity(){
+    if (!persistentIds()) return;
+    [VID_KEY, SID_KEY, USER_KEY].forEach((k)=>{
+      const v = tabStore.get(k);
+      if (v != null && persistStore(k).get(k) == null) persistStore(k).set(k, v);
+    });
+    if (refTrail.length) persistStore(REF_KEY).set(REF_KEY, refTrail);
+  }
+  function purgeIdentity(){
+    [VID_KEY, SID_KEY, REF_KEY, USER_KEY].forEach(dropId);
+    refTrail.length = 0;
+  }
+
+  // Known user: set by CC.embed.identify() or a lead capture, cleared by reset().
+  // The user ID rides on every event and request; traits are sent once per identify call.
+  // Anonymous mode never links events to a person.
+  const TRAIT_MAX = 20;
+  function getUser(){
+    if (anonymousMode()) return null;
+    const u = idStore.get(USER_KEY);
+    return u && (u.userId || u.traits) ? u : null;
+  }
+  const getUserId = ()=> getUser()?.userId || null;
+  function cleanTraits(traits){
+    const out = {};
+    if (!traits || typeof traits !== 'object') return out;
+    Object.keys(traits).slice(0, TRAIT_MAX).forEach((k)=>{
+      const v = traits[k];
+      if (v == null || ['string', 'number', 'boolean'].includes(typeof v)) out[String(k).slice(0, 64)] = typeof v === 'string' ? v.slice(0, 256) : v;
+    });
+    return out;
+  }
+  function identify(userId, traits, source){
+    if (anonymousMode()) return false;
+    const prev = getUser();
+    const id = userId == null || userId === '' ? (prev?.userId || null) : String(userId).slice(0, 256);
+    const changed = !!id && id !== prev?.userId;
+    const clean = cleanTraits(traits);
+    if (!id && !Object.keys(clean).length) return false;
+    // A different user starts from a clean trait set
+    const merged = Object.assign({}, changed && prev?.userId ? {} : (prev?.traits || {}), clean);
+    idStore.set(USER_KEY, { userId: id, traits: merged, ts: now() });
+    enqueue('identify', { userId: id, traits: clean, source: source || 'api', previousUserId: changed ? (prev?.userId || null) : null });
+    scheduleFlush();
+    return true;
+  }
+  // Forget the user and start a fresh anonymous visitor (e.g. on logout)
+  function resetIdentity(){
+    [USER_KEY, VID_KEY, SID_KEY, CHAT_KEY].forEach(dropId);
+  }
+  function emailFromFields(fields){
+    const entries = Object.entries(fields || {}).filter(([, v])=> isValidEmail(v));
+    const named = entries.find(([k])=> /e-?mail/i.test(k));
+    return (named || entries[0] || [])[1] || '';
+  }
+  // Lead captures (campaign forms, download claims, handoff) add the email as a trait. The email is
+  // never used as the user ID: without a host-set ID the identify event carries `userId: null`
+  // and the backend stitches the journey on visitor ID + email.
+  function identifyLead(email, source){
+    const value = String(email || '').trim().toLowerCase();
+    if (!isValidEmail(value) || anonymousMode()) return;
+    const userId = getUserId();
+    if (userId){ identify(userId, { email: value }, source); return }
+    const prev = getUser();
+    idStore.set(USER_KEY, { userId: null, traits: Object.assign({}, prev?.traits || {}, { email: value }), ts: now() });
+    enqueue('identify', { userId: null, traits: { email: value }, source: source || 'lead', previousUserId: null });
+    scheduleFlush();
   }
-  function touchSession(){ const s=ls.get(SID_KEY); if(s){ s.last=now(); ls.set(SID_KEY, s) } }
 
   // --- UTM & referrer trail --------------------------------------------------
   function parseQuery(qs){ const p={}; qs.replace(/^\?/, '').split('&').forEach(kv=>{ if(!kv) return; const [k,v]=kv.split('='); p[decodeURIComponent(k)] = decodeURIComponent(v||'') }); return p }
   const q = parseQuery(L.search || '');
   const utm = ['utm_source','utm_medium','utm_campaign','utm_term','utm_content'].reduce((o,k)=>{ if(q[k]) o[k]=q[k]; return o },{});
-  const REF_KEY = 'cc_ref';
-  const refTrail = ls.get(REF_KEY, []);
-  if (D.referrer && (!refTrail.length || refTrail[refTrail.length-1] !== D.referrer)){
-    refTrail.push(D.referrer); if (refTrail.length>5) refTrail.shift(); ls.set(REF_KEY, refTrail);
+  const refTrail = idStore.get(REF_KEY, []);
+  if (D.referrer && !anonymousMode() && (!refTrail.length || refTrail[refTrail.length-1] !== D.referrer)){
+    refTrail.push(D.referrer); if (refTrail.length>5) refTrail.shift(); idStore.set(REF_KEY, refTrail);
   }
 
   // --- Site-key validation ---------------------------------------------------
   function disableTrackingForInvalidSite(){
     siteKeyOk = false;
-    state.queue.length = 0;
+    clearQueue();
   }
   async function validateSiteKey(){
     if (!cfg.siteId || !cfg.endpoint) { disableTrackingForInvalidSite(); return; }
@@ -313,63 +1037,237 @@
   }
 
   // --- Event queue + transport ----------------------------------------------
-  const state = { queue: [], flushing:false };
+  // The queue is mirrored to localStorage so events survive reloads and offline
+  // tab closes. Each tab owns one storage slot (no cross-tab overwrites) and re-stamps
+  // it on a heartbeat while open; slots left by closed tabs, or whose heartbeat stopped,
+  // are adopted and replayed on the next load.
+  // Every event carries an `eid` so the ingest side can drop replayed duplicates.
+  const QUEUE_PREFIX = 'cc_q_';
+  const QUEUE_HEARTBEAT_MS = 20000;
+  const QUEUE_STALE_MS = 180000;  // hidden tabs may only run timers once a minute
+  const SEND_MAX_BYTES = 60000;   // browsers refuse keepalive/beacon bodies over 64 KB
+  const TAB_ID = uuid();
+  const state = { queue: [], inflight: [], flushing:false, attempts:0, retryAt:0, retryTimer:0 };
   function baseEvent(type, payload){
     return {
-      t: type, ts: now(),
-      sid: getSessionId(), vid: getVisitorId(),
-      site: cfg.siteId,
-      url: String(L.href), path: L.pathname, title: D.title,
-      ref: D.referrer || null, lang: N.language,
+      t: type, ts: now(), eid: uuid(),
+      sid: getSessionId(), vid: getVisitorId(), uid: getUserId(),
+      site: cfg.siteId, anon: anonymousMode(),
+      url: pageUrl(), path: L.pathname, title: D.title,
+      ref: anonymousMode() ? referrerOrigin(D.referrer) : (D.referrer || null), lang: N.language,
       tz: Intl.DateTimeFormat().resolvedOptions().timeZone || null,
       vp: { w: W.innerWidth, h: W.innerHeight },
       sc: { x: W.scrollX, y: W.scrollY },
-      utm, trail: refTrail,
+      utm, trail: anonymousMode() ? [] : refTrail,
       payload
     };
   }
+  // session_end is often built after the fact (next event, or a timer in a hidden tab): it carries
+  // the ended session's ID, last activity time and last page, not the current page's
+  function sessionEndEvent(s, reason){
+    const e = Object.assign(baseEvent('session_end', sessionSummary(s, reason)), { sid: s.id, ts: s.last || s.started || now() });
+    if (s.url){
+      e.url = s.url;
+      try { e.path = new URL(s.url).pathname } catch {}
+    }
+    return e;
+  }
+  function pruneQueue(events){
+    const minTs = now() - cfg.queueMaxAgeMs;
+    const seen = new Set();
+    const out = events.filter((e)=>{
+      if (!e || !e.eid || !(e.ts >= minTs) || seen.has(e.eid)) return false;
+      seen.add(e.eid);
+      return true;
+    });
+    return out.slice(-cfg.queueMaxEvents);
+  }
+  function persistQueue(closed){
+    const events = state.inflight.concat(state.queue);
+    if (!events.length){ ls.del(QUEUE_PREFIX + TAB_ID); return }
+    ls.set(QUEUE_PREFIX + TAB_ID, { ts: now(), closed: !!closed, events });
+  }
+  function adoptOrphanedQueues(){
+    const keys = [];
+    try {
+      for (let i=0; i<localStorage.length; i++){
+        const key = localStorage.key(i);
+        if (key && key.indexOf(QUEUE_PREFIX) === 0 && key !== QUEUE_PREFIX + TAB_ID) keys.push(key);
+      }
+    } catch { return }
+    const adopted = [];
+    keys.forEach((key)=>{
+      const slot = ls.get(key);
+      if (slot && !slot.closed && now() - (slot.ts || 0) < QUEUE_STALE_MS) return; // owner tab still alive
+      if (Array.isArray(slot?.events)) adopted.push(...slot.events);
+      ls.del(key);
+    });
+    if (!adopted.length) return;
+    state.queue = pruneQueue(adopted.concat(state.queue).sort((a, b)=> (a?.ts || 0) - (b?.ts || 0)));
+    persistQueue();
+  }
+  // Next batch off the front of the queue: at most `limit` events and SEND_MAX_BYTES of JSON.
+  // A single event over the byte cap is returned alone so the caller can send it without keepalive.
+  function nextBatch(limit){
+    const batch = [];
+    let bytes = 13; // {"events":[]}
+    for (const e of state.queue){
+      if (batch.length >= limit) break;
+      const size = new Blob([JSON.stringify(e)]).size + 1;
+      if (batch.length && bytes + size > SEND_MAX_BYTES) break;
+      batch.push(e);
+      bytes += size;
+    }
+    return { batch, bytes };
+  }
+  // Rejected batches are not retried; count them once (a rejected drop report is not re-reported)
+  function reportDropped(batch, status){
+    if (batch.some((e)=> e && e.t === 'delivery_dropped')) return;
+    enqueue('delivery_dropped', { status, count: batch.length });
+  }
+  function clearQueue(){
+    state.queue.length = 0;
+    state.inflight.length = 0;
+    persistQueue();
+  }
   function enqueue(type, payload){
+    if (destroyed) return;
     if (!readyToTrack()) return;              // silent no-op if not allowed
     if (siteKeyOk === false) return;          // invalid site key → drop
+    getSessionId();
+    sessionBreaks.splice(0).forEach((b)=>{
+      if (b.prev && !b.prev.ended) state.queue.push(sessionEndEvent(b.prev, b.reason));
+      state.queue.push(baseEvent('session_start', {
+        reason: b.reason,
+        previousSessionId: b.prev?.id || null,
+        landing: pageUrl(),
+        utm,
+        ref: anonymousMode() ? referrerOrigin(D.referrer) : (D.referrer || null),
+      }));
+    });
     state.queue.push(baseEvent(type, payload));
+    if (state.queue.length > cfg.queueMaxEvents) state.queue.splice(0, state.queue.length - cfg.queueMaxEvents);
+    persistQueue();
     if (state.queue.length >= cfg.maxBatch) flush();
   }
-  function flush(){
-    if (!state.queue.length) return;
-    if (!readyToTrack()) return;
-    if (siteKeyOk === false) return;
+  function canFlush(){
+    if (destroyed) return false;
+    syncConsentMode();
+    if (!state.queue.length) return false;
+    if (!readyToTrack()) return false;
+    if (siteKeyOk === false) return false;
     if (siteKeyOk === null){
       validateSiteKey();
-      return;
+      return false;
     }
+    return true;
+  }
+  // Exponential backoff with jitter: 1s, 2s, 4s … capped at retryMaxMs, each scaled by 50–100%.
+  function scheduleRetry(){
+    state.attempts += 1;
+    const base = Math.min(cfg.retryMaxMs, 1000 * Math.pow(2, state.attempts - 1));
+    const wait = Math.round(base / 2 + Math.random() * (base / 2));
+    state.retryAt = now() + wait;
+    W.clearTimeout(state.retryTimer);
+    state.retryTimer = W.setTimeout(flush, wait);
+  }
+  function resetRetry(){
+    state.attempts = 0;
+    state.retryAt = 0;
+    W.clearTimeout(state.retryTimer);
+  }
+  // While the page is visible we use fetch so delivery failures are observable.
+  // 4xx responses (other than 408/429) are not retryable: the batch is dropped and counted.
+  function flush(){
+    if (!canFlush()) return;
     if (state.flushing) return;
+    if (state.retryAt && now() < state.retryAt){ persistQueue(); return }
     state.flushing = true;
-    const batch = state.queue.splice(0, state.queue.length);
-    const body = JSON.stringify({ events: batch });
-    const blob = new Blob([body], { type: 'application/json' });
-
-    // Prefer sendBeacon (background + unload-safe)
-    let ok = false;
-    try { ok = !!(N.sendBeacon && N.sendBeacon(cfg.endpoint, blob)) } catch {}
-    if (!ok){
-      fetch(cfg.endpoint, { method:'POST', headers:{'Content-Type':'application/json'}, body })
-        .then(()=> scheduleCampaignPoll(600))
-        .catch(()=>{ state.queue.unshift(...batch) }) // requeue on failure
-        .finally(()=>{ state.flushing=false });
-      return;
+    const { batch, bytes } = nextBatch(cfg.maxBatch);
+    state.queue.splice(0, batch.length);
+    state.inflight = batch;
+    persistQueue();
+    fetch(cfg.endpoint, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ events: batch }), keepalive: bytes <= SEND_MAX_BYTES })
+      .then((res)=>{
+        const retryable = !res.ok && (res.status >= 500 || res.status === 408 || res.status === 429);
+        if (retryable) throw new Error(`ingest_${res.status}`);
+        if (!res.ok) reportDropped(batch, res.status);
+        resetRetry();
+        scheduleCampaignPoll(600);
+      })
+      .catch(()=>{
+        state.queue.unshift(...batch); // requeue on failure
+        scheduleRetry();
+      })
+      .finally(()=>{
+        state.inflight = [];
+        state.flushing = false;
+        persistQueue();
+        if (!state.retryAt && state.queue.length) scheduleFlush();
+      });
+  }
+  // Page is going away: hand what we have to sendBeacon in small chunks.
+  // Anything the browser refuses stays in the persisted slot for the next load.
+  function flushOnHide(closing){
+    writeSessionCookie();
+    reportVitals(closing ? 'page_hide' : 'hidden');
+    // Running summary (session_update); session_end comes from the next session break or endIdleSession
+    if (closing){
+      reportEngagement('page_hide');
+      const s = idStore.get(SID_KEY);
+      if (s && s.id) enqueue('session_update', sessionSummary(s, 'page_hide'));
     }
-    state.flushing=false;
-    scheduleCampaignPoll(900);
+    if (canFlush()){
+      while (state.queue.length){
+        const { batch, bytes } = nextBatch(cfg.maxBatch);
+        if (bytes > SEND_MAX_BYTES) break; // oversized event waits for the next load's fetch
+        const blob = new Blob([JSON.stringify({ events: batch })], { type: 'application/json' });
+        let ok = false;
+        try { ok = !!(N.sendBeacon && N.sendBeacon(cfg.endpoint, blob)) } catch {}
+        if (!ok) break;
+        state.queue.splice(0, batch.length);
+      }
+    }
+    persistQueue(closing);
+  }
+  // A tab left hidden past sessionTimeoutMs ends the session itself, unless another tab kept it
+  // going. A closed tab cannot know whether the visitor returns; its session_end goes out with
+  // the next session's first event.
+  let sessionEndTimer = 0;
+  function endIdleSession(){
+    if (destroyed || D.visibilityState !== 'hidden' || !readyToTrack() || siteKeyOk === false) return;
+    const s = idStore.get(SID_KEY);
+    if (!s || !s.id || s.ended) return;
+    const left = (s.last || 0) + cfg.sessionTimeoutMs - now();
+    if (left >= 0){ sessionEndTimer = W.setTimeout(endIdleSession, left + 1000); return }
+    s.ended = true;
+    idStore.set(SID_KEY, s);
+    state.queue.push(sessionEndEvent(s, 'timeout'));
+    persistQueue();
+    flush();
   }
+  onCleanup(()=> W.clearTimeout(sessionEndTimer));
   function scheduleFlush(){ setTimeout(flush, 250) }
+  adoptOrphanedQueues();
+  every(()=>{ if (state.queue.length || state.inflight.length) persistQueue() }, QUEUE_HEARTBEAT_MS);
 
   // Unload/visibility/network hooks
-  W.addEventListener('online', flush);
-  W.addEventListener('beforeunload', flush, { capture:true });
-  D.addEventListener('visibilitychange', ()=>{ if (D.visibilityState==='hidden') flush() });
+  listen(W, 'online', ()=>{ resetRetry(); flush() });
+  listen(W, 'pagehide', ()=> flushOnHide(true), { capture:true });
+  listen(W, 'pageshow', (e)=>{ if (e.persisted) persistQueue() });
+  listen(D, 'visibilitychange', ()=>{
+    W.clearTimeout(sessionEndTimer);
+    if (D.visibilityState==='hidden'){
+      reportEngagement('hidden');
+      flushOnHide(false);
+      sessionEndTimer = W.setTimeout(endIdleSession, cfg.sessionTimeoutMs + 1000);
+    } else {
+      onActivity();
+    }
+  });
 
   // --- Trackers --------------------------------------------------------------
-  function trackPageview(meta){ enqueue('pageview', Object.assign({ hash: L.hash || null }, meta||{})) }
+  function trackPageview(meta){ getSessionId(); noteSessionPage(); enqueue('pageview', Object.assign({ hash: anonymousMode() ? null : (L.hash || null) }, meta||{})) }
   // Public API for custom events: window.CC_EMBED.track('event_name', { ...payload })
   try {
     W.CC_EMBED = W.CC_EMBED || {};
@@ -391,46 +1289,312 @@
     if (!a) return;
     const href = a.getAttribute('href');
     const sameHost = href && href.indexOf(L.host) !== -1;
-    enqueue('click', { href, outbound: href ? !sameHost : false, text: (a.textContent||'').trim().slice(0,120) });
+    enqueue('click', { href: href && anonymousMode() ? scrubUrl(href) : href, outbound: href ? !sameHost : false, text: (a.textContent||'').trim().slice(0,120) });
   }
   function trackErrors(){
-    W.addEventListener('error', (e)=> enqueue('error', { message:e.message, src:e.filename, line:e.lineno, col:e.colno }));
-    W.addEventListener('unhandledrejection', (e)=> enqueue('promise_rejection', { reason:String(e.reason) }));
+    listen(W, 'error', (e)=> enqueue('error', { message:e.message, src:e.filename, line:e.lineno, col:e.colno }));
+    listen(W, 'unhandledrejection', (e)=> enqueue('promise_rejection', { reason:String(e.reason) }));
+  }
+
+  // Engaged time: the page is visible, focused and has seen input or scrolling within
+  // idleTimeoutMs. Reported per page as `engaged_time` on route change and when the page
+  // is hidden; each report holds only the time since the previous one, so they add up.
+  // Also feeds the session's `engaged` total.
+  const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'scroll', 'wheel', 'touchstart'];
+  const engagement = { started:false, activeSince:0, lastInput:0, lastTouch:0, pageMs:0, idleTimer:0, path: L.pathname || '' };
+  const SESSION_TOUCH_MS = 30000; // engaged visitors keep the session alive at most this often
+  const pageFocused = ()=> D.visibilityState !== 'hidden' && (typeof D.hasFocus !== 'function' || D.hasFocus());
+  function settleEngagement(){
+    const e = engagement;
+    if (!e.activeSince) return;
+    const ms = Math.max(0, Math.min(now(), e.lastInput + cfg.idleTimeoutMs) - e.activeSince);
+    e.activeSince = 0;
+    e.pageMs += ms;
+    bumpSession('engaged', ms);
+  }
+  function checkIdle(){
+    const e = engagement;
+    e.idleTimer = 0;
+    if (!e.activeSince) return;
+    const idleFor = now() - e.lastInput;
+    if (idleFor >= cfg.idleTimeoutMs) settleEngagement();
+    else e.idleTimer = W.setTimeout(checkIdle, cfg.idleTimeoutMs - idleFor);
+  }
+  function onActivity(){
+    const e = engagement;
+    if (!e.started || destroyed) return;
+    e.lastInput = now();
+    if (!pageFocused()) return;
+    if (e.lastInput - e.lastTouch >= SESSION_TOUCH_MS){ e.lastTouch = e.lastInput; touchSession() }
+    if (!e.activeSince) e.activeSince = e.lastInput;
+    if (!e.idleTimer) e.idleTimer = W.setTimeout(checkIdle, cfg.idleTimeoutMs);
+  }
+  function reportEngagement(reason){
+    const e = engagement;
+    if (!e.started) return;
+    const resume = !!e.activeSince && reason === 'route_change';
+    settleEngagement();
+    if (e.pageMs >= 1) enqueue('engaged_time', { ms: Math.round(e.pageMs), path: e.path, reason });
+    e.pageMs = 0;
+    e.path = L.pathname || '';
+    if (resume){ e.activeSince = now(); e.lastInput = e.activeSince }
+  }
+  function trackEngagement(){
+    engagement.started = true;
+    ACTIVITY_EVENTS.forEach((type)=> listen(D, type, onActivity, { capture:true, passive:true }));
+    listen(W, 'focus', onActivity);
+    listen(W, 'blur', settleEngagement);
+    onCleanup(()=> W.clearTimeout(engagement.idleTimer));
+    onActivity();
   }
-  function heartbeat(){ enqueue('hb', { vis: D.visibilityState }) }
 
   // SPA hook: detect history navigation and treat as a pageview
   function hookSPA(){
     const _push = history.pushState, _replace = history.replaceState;
-    function onChange(){ touchSession(); trackPageview({ spa:true }); scheduleFlush(); scheduleCampaignPoll(900); scheduleCampaignPoll(2500) }
-    history.pushState = function(){ _push.apply(this, arguments); onChange() };
-    history.replaceState = function(){ _replace.apply(this, arguments); onChange() };
-    W.addEventListener('popstate', onChange);
+    function onChange(){ reportEngagement('route_change'); resetVitals(); touchSession(); trackPageview({ spa:true }); scheduleFlush(); scheduleCampaignPoll(900); scheduleCampaignPoll(2500) }
+    const push = history.pushState = function(){ _push.apply(this, arguments); onChange() };
+    const replace = history.replaceState = function(){ _replace.apply(this, arguments); onChange() };
+    listen(W, 'popstate', onChange);
+    onCleanup(()=>{
+      if (history.pushState === push) history.pushState = _push;
+      if (history.replaceState === replace) history.replaceState = _replace;
+    });
   }
 
-  // Basic performance timings + web vitals (FCP/LCP if available)
+  // Navigation timings, plus Core Web Vitals for a sampled share of page loads.
+  // One `web_vitals` event per page carries the current LCP / CLS / INP / FCP / TTFB with
+  // attribution; it is (re)sent when the page is hidden and values changed since the last
+  // report, and on SPA route changes, after which CLS/INP start over for the new route.
+  const vitalsSampled = Math.random() < clamp(Number.isFinite(cfg.vitalsSampleRate) ? cfg.vitalsSampleRate : 1, 0, 1);
+  const freshVitals = (nav)=> ({ pageId: uuid(), nav, path: L.pathname || '', changed:false, values:{}, attribution:{}, clsWindow:null, interactionCount:0, worst:[] });
+  const vitals = freshVitals('hard');
+  function describeElement(el){
+    const parts = [];
+    for (let node = el; node && node.nodeType === 1 && parts.length < 3; node = node.parentElement){
+      let part = node.tagName.toLowerCase();
+      if (node.id){ parts.unshift(part + '#' + node.id); break }
+      const cls = String(node.getAttribute('class') || '').trim().split(/\s+/).filter(Boolean).slice(0, 2);
+      if (cls.length) part += '.' + cls.join('.');
+      parts.unshift(part);
+    }
+    return parts.join('>').slice(0, 120) || null;
+  }
+  function setVital(name, value, attribution){
+    vitals.values[name] = Math.round(value * (name === 'cls' ? 10000 : 1)) / (name === 'cls' ? 10000 : 1);
+    if (attribution) vitals.attribution[name] = attribution;
+    vitals.changed = true;
+  }
+  // CLS: largest session window (shifts < 1s apart, window <= 5s), ignoring shifts right after input
+  function onLayoutShift(e){
+    if (e.hadRecentInput) return;
+    let w = vitals.clsWindow;
+    if (!w || e.startTime - w.last > 1000 || e.startTime - w.first > 5000) w = vitals.clsWindow = { first: e.startTime, last: e.startTime, value: 0, top: null };
+    w.last = e.startTime;
+    w.value += e.value;
+    if (!w.top || e.value > w.top.value) w.top = e;
+    if (w.value > (vitals.values.cls || 0)){
+      const node = (e.sources || []).map((x)=> x.node).find(Boolean);
+      setVital('cls', w.value, { target: describeElement(node), time: Math.round(w.top.startTime) });
+    }
+  }
+  // INP: worst interaction latency, skipping one outlier per 50 interactions (≈ p98).
+  // Only the 10 slowest interactions are kept.
+  function onEventTiming(e){
+    if (!e.interactionId) return;
+    const worst = vitals.worst;
+    const prev = worst.find((x)=> x.id === e.interactionId);
+    if (prev){
+      if (prev.duration >= e.duration) return;
+      prev.duration = e.duration;
+    } else {
+      vitals.interactionCount++;
+      worst.push({ id: e.interactionId, duration: e.duration, type: e.name, target: describeElement(e.target), time: Math.round(e.startTime) });
+    }
+    worst.sort((a, b)=> b.duration - a.duration);
+    if (worst.length > 10) worst.length = 10;
+    const pick = worst[Math.min(worst.length - 1, Math.floor(vitals.interactionCount / 50))];
+    if (pick) setVital('inp', pick.duration, { target: pick.target, type: pick.type, time: pick.time });
+  }
+  function onLcp(e){
+    if (vitals.nav !== 'hard') return;
+    setVital('lcp', e.startTime, { target: describeElement(e.element), url: e.url ? scrubUrl(e.url) : null, size: e.size || 0 });
+  }
+  function reportVitals(reason){
+    if (!vitalsSampled || !vitals.changed) return;
+    vitals.changed = false;
+    enqueue('web_vitals', Object.assign({ pageId: vitals.pageId, nav: vitals.nav, path: vitals.path, reason }, vitals.values, { attribution: vitals.attribution }));
+  }
+  // SPA soft navigation: report the old route, then measure the new one from scratch
+  // Only a path change is a new page; routers also replaceState for scroll and query updates
+  function resetVitals(){
+    if (!vitalsSampled || (L.pathname || '') === vitals.path) return;
+    reportVitals('route_change');
+    Object.assign(vitals, freshVitals('soft'));
+  }
+  function observePerf(type, fn, opts){
+    try{
+      const po = new PerformanceObserver((list)=> list.getEntries().forEach((e)=>{ try{ fn(e) }catch{} }));
+      po.observe(Object.assign({ type, buffered:true }, opts || {}));
+      onCleanup(()=> po.disconnect());
+      return po;
+    }catch{ return null }
+  }
   function perf(){
     if (!('performance' in W)) return;
+    let nav = null;
     try {
-      const nav = performance.getEntriesByType('navigation')[0];
+      nav = performance.getEntriesByType('navigation')[0];
       if (nav) enqueue('perf', { ttfb: nav.responseStart, dom: nav.domContentLoadedEventEnd, load: nav.loadEventEnd });
     } catch{}
-    if ('PerformanceObserver' in W){
-      try {
-        const po = new PerformanceObserver((list)=>{
-          for (const e of list.getEntries()){
-            if (e.entryType === 'largest-contentful-paint') enqueue('web_vitals', { lcp: e.startTime });
-          }
-        });
-        po.observe({ type:'largest-contentful-paint', buffered:true });
-        const po2 = new PerformanceObserver((list)=>{
-          for (const e of list.getEntries()) if (e.name==='first-contentful-paint') enqueue('web_vitals', { fcp: e.startTime });
-        });
-        po2.observe({ type:'paint', buffered:true });
-      } catch{}
+    if (!vitalsSampled) return;
+    if (nav) setVital('ttfb', Math.max(0, nav.responseStart - (nav.activationStart || 0)), { type: nav.type || null, dns: Math.round(nav.domainLookupEnd - nav.domainLookupStart), connect: Math.round(nav.connectEnd - nav.connectStart) });
+    if (!('PerformanceObserver' in W)) return;
+    observePerf('paint', (e)=>{ if (e.name === 'first-contentful-paint' && vitals.nav === 'hard') setVital('fcp', e.startTime) });
+    // LCP stops changing at the first input; the final value goes out with the page-hide report
+    const lcp = observePerf('largest-contentful-paint', onLcp);
+    if (lcp){
+      const stopLcp = ()=>{ try{ lcp.takeRecords().forEach(onLcp); lcp.disconnect() }catch{} };
+      ['keydown', 'pointerdown'].forEach((type)=> listen(D, type, stopLcp, { capture:true, once:true }));
+    }
+    observePerf('layout-shift', onLayoutShift);
+    observePerf('event', onEventTiming, { durationThreshold: 40 });
+    observePerf('first-input', onEventTiming);
+  }
+
+  // --- Hotkeys ---------------------------------------------------------------
+  // Binding syntax: modifiers + key joined by "+", several bindings separated by commas.
+  // Modifiers: mod (⌘ on macOS, Ctrl elsewhere), ctrl, meta/cmd, alt/option, shift.
+  const IS_MAC = /Mac|iPhone|iPad|iPod/i.test(N.userAgentData?.platform || N.platform || N.userAgent || '');
+  const KEY_ALIASES = { esc:'escape', return:'enter', space:' ', spacebar:' ', slash:'/', question:'?', comma:',', plus:'+' };
+  const hotkeys = [];
+  function parseHotkeys(spec){
+    // "Ctrl + K" → "ctrl+k" before splitting bindings on commas/whitespace
+    const raw = String(spec || '').trim().toLowerCase().replace(/\s*\+\s*/g, '+');
+    if (!raw || raw === 'off' || raw === 'none' || raw === 'false') return [];
+    return raw.split(/\s*,\s*|\s+/).map((binding)=>{
+      const parts = binding.split('+').filter(Boolean);
+      const combo = { mod:false, ctrl:false, meta:false, alt:false, shift:null, key:'' };
+      parts.forEach((p, i)=>{
+        if (i < parts.length - 1){
+          if (p === 'mod') combo.mod = true;
+          else if (p === 'ctrl' || p === 'control') combo.ctrl = true;
+          else if (p === 'meta' || p === 'cmd' || p === 'command') combo.meta = true;
+          else if (p === 'alt' || p === 'option' || p === 'opt') combo.alt = true;
+          else if (p === 'shift') combo.shift = true;
+          return;
+        }
+        combo.key = KEY_ALIASES[p] || p;
+      });
+      // Shift is implied by symbols like "?"; only enforce it for letters, digits and named keys
+      if (combo.shift === null && /^([a-z0-9]|[a-z]{2,}\d*)$/.test(combo.key)) combo.shift = false;
+      return combo;
+    }).filter((c)=> c.key);
+  }
+  function matchesHotkey(e, c){
+    const wantMeta = c.meta || (c.mod && IS_MAC);
+    const wantCtrl = c.ctrl || (c.mod && !IS_MAC);
+    if (!!e.metaKey !== !!wantMeta || !!e.ctrlKey !== !!wantCtrl || !!e.altKey !== !!c.alt) return false;
+    if (c.shift !== null && !!e.shiftKey !== c.shift) return false;
+    const key = String(e.key || '').toLowerCase();
+    if (key === c.key) return true;
+    // Layout-independent fallback (e.g. Option+K on macOS reports "˚")
+    if (/^[a-z]$/.test(c.key)) return e.code === `Key${c.key.toUpperCase()}`;
+    if (/^[0-9]$/.test(c.key)) return e.code === `Digit${c.key}`;
+    return false;
+  }
+  function formatHotkey(c){
+    const parts = [];
+    if (c.mod) parts.push(IS_MAC ? '⌘' : 'Ctrl');
+    if (c.ctrl) parts.push(IS_MAC ? '⌃' : 'Ctrl');
+    if (c.meta) parts.push(IS_MAC ? '⌘' : 'Meta');
+    if (c.alt) parts.push(IS_MAC ? '⌥' : 'Alt');
+    if (c.shift) parts.push(IS_MAC ? '⇧' : 'Shift');
+    const names = { ' ':'Space', escape:'Esc', enter:'Enter', arrowup:'↑', arrowdown:'↓', arrowleft:'←', arrowright:'→' };
+    parts.push(names[c.key] || (c.key.length === 1 ? c.key.toUpperCase() : c.key.charAt(0).toUpperCase() + c.key.slice(1)));
+    return parts.join(IS_MAC ? '' : '+');
+  }
+  // Typing in the host page (inputs, textareas, selects, contenteditable) never triggers our shortcuts
+  function isEditableTarget(e){
+    const el = (typeof e.composedPath === 'function' && e.composedPath()[0]) || e.target;
+    if (!el || el.nodeType !== 1) return false;
+    if (el.isContentEditable) return true;
+    const tag = String(el.tagName || '').toUpperCase();
+    if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+    if (tag !== 'INPUT') return false;
+    return !['button', 'checkbox', 'radio', 'range', 'color', 'file', 'submit', 'reset', 'image'].includes(String(el.type || '').toLowerCase());
+  }
+  function bindHotkey(spec, label, handler){
+    const combos = parseHotkeys(spec);
+    if (combos.length) hotkeys.push({ combos, label, handler });
+    return combos;
+  }
+  function hotkeyHint(combos){ return combos && combos.length ? formatHotkey(combos[0]) : '' }
+  function onHotkey(e){
+    if (e.defaultPrevented || e.isComposing || isEditableTarget(e)) return;
+    for (const h of hotkeys){
+      if (!h.combos.some((c)=> matchesHotkey(e, c))) continue;
+      e.preventDefault();
+      h.handler();
+      return;
     }
   }
 
+  let shortcutHelp = null;
+  function closeShortcutHelp(){
+    if (!shortcutHelp) return;
+    shortcutHelp.remove();
+    shortcutHelp = null;
+    D.removeEventListener('keydown', onShortcutHelpKey, true);
+  }
+  function onShortcutHelpKey(e){
+    if (e.key === 'Escape'){ e.preventDefault(); e.stopPropagation(); closeShortcutHelp() }
+  }
+  function openShortcutHelp(){
+    if (shortcutHelp){ closeShortcutHelp(); return }
+    injectStyle();
+    shortcutHelp = D.createElement('div');
+    shortcutHelp.className = 'cc-keys-overlay';
+    const panel = D.createElement('div');
+    panel.className = 'cc-keys-panel';
+    panel.setAttribute('part', 'shortcuts-panel');
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Keyboard shortcuts');
+    const head = D.createElement('div');
+    head.className = 'cc-keys-head';
+    appendText(head, 'span', '', 'Keyboard shortcuts');
+    const closeBtn = D.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'cc-chat-close';
+    closeBtn.setAttribute('aria-label', 'Close');
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', closeShortcutHelp);
+    head.appendChild(closeBtn);
+    const listEl = D.createElement('div');
+    listEl.className = 'cc-keys-list';
+    const row = (label, keys)=>{
+      const r = D.createElement('div');
+      r.className = 'cc-keys-row';
+      appendText(r, 'span', '', label);
+      const k = D.createElement('span');
+      keys.forEach((key)=> appendText(k, 'kbd', '', key));
+      r.appendChild(k);
+      listEl.appendChild(r);
+    };
+    hotkeys.forEach((h)=> row(h.label, h.combos.map(formatHotkey)));
+    if (widgets.search){
+      row('Move through search results', ['↑', '↓']);
+      row('Open selected result', ['Enter']);
+    }
+    row('Close panel', ['Esc']);
+    panel.appendChild(head);
+    panel.appendChild(listEl);
+    shortcutHelp.appendChild(panel);
+    shortcutHelp.addEventListener('click', (e)=>{ if (e.target === shortcutHelp) closeShortcutHelp() });
+    D.addEventListener('keydown', onShortcutHelpKey, true);
+    mountUi(shortcutHelp);
+    enqueue('shortcuts_ui', { action: 'open' });
+  }
+
   // --- Search widget ---------------------------------------------------------
   function parseRgbFromColor(color){
     try{
@@ -459,136 +1623,290 @@
     const luminance = (0.2126 * r) + (0.7152 * g) + (0.0722 * b);
     return luminance > 0.55 ? '#111111' : '#ffffff';
   }
-  function computeHighlightBg(){
-    const rgb = parseRgbFromColor(cfg.search?.accent || '#336699') || [51,102,153];
+  function computeHighlightBg(accent){
+    const rgb = parseRgbFromColor(accent || '#336699') || [51,102,153];
     const alpha = 0.15; // 15% opacity
     return `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, ${alpha})`;
   }
+  const cssSafe = (v)=> String(v).replace(/[;{}<>\\]/g, '');
+  // A theme `accent` replaces the widget accents, except ones set explicitly on the embed
+  function themeAccent(kind, t){
+    const explicit = kind === 'search' ? explicitSearchAccent : kind === 'chat' ? explicitChatAccent : explicitMessagesAccent;
+    return (!explicit && t.accent) || cfg[kind]?.accent || '#336699';
+  }
+  // Tokens and accents are exposed as CSS custom properties (config values are the fallbacks),
+  // so hosts can re-theme from their own stylesheet, including into the shadow root:
+  //   --cc-surface, --cc-surface-alt, --cc-text, --cc-text-muted, --cc-border, --cc-radius, --cc-font, --cc-shadow,
+  //   --cc-search-accent, --cc-search-accent-contrast, --cc-search-highlight,
+  //   --cc-chat-accent, --cc-chat-accent-contrast, --cc-messages-accent, --cc-messages-accent-contrast
   function buildSearchStyles(){
-    const hl = computeHighlightBg();
-    const chatAccent = escapeHTML(cfg.chat?.accent || '#336699');
-    const chatAccentContrast = escapeHTML(contrastTextForColor(cfg.chat?.accent || '#336699'));
+    const t = themeTokens();
+    const cssVar = (name, fallback)=> `var(--cc-${name}, ${cssSafe(fallback)})`;
+    const surface = cssVar('surface', t.surface);
+    const surfaceAlt = cssVar('surface-alt', t.surfaceAlt);
+    const text = cssVar('text', t.text);
+    const textMuted = cssVar('text-muted', t.textMuted);
+    const border = cssVar('border', t.border);
+    const radius = cssVar('radius', t.radius);
+    const font = cssVar('font', t.font);
+    const shadow = cssVar('shadow', t.shadow);
+    const searchColor = themeAccent('search', t);
+    const chatColor = themeAccent('chat', t);
+    const messagesColor = themeAccent('messages', t);
+    const hl = cssVar('search-highlight', computeHighlightBg(searchColor));
+    const searchAccent = cssVar('search-accent', searchColor);
+    const searchAccentContrast = cssVar('search-accent-contrast', contrastTextForColor(searchColor));
+    const chatAccent = cssVar('chat-accent', chatColor);
+    const chatAccentContrast = cssVar('chat-accent-contrast', contrastTextForColor(chatColor));
+    const messagesAccent = cssVar('messages-accent', messagesColor);
+    const messagesAccentContrast = cssVar('messages-accent-contrast', contrastTextForColor(messagesColor));
     return `
-  .cc-dock{position:fixed;z-index:2147483000;border:1px solid #ddd;border-radius:12px;padding:7px 9px;background:#fff;box-shadow:0 4px 16px rgba(0,0,0,.12);font:600 14px/1 system-ui,-apple-system,Segoe UI,Roboto;display:inline-flex;align-items:center;gap:8px;color:#111}
-  .cc-dock:hover{box-shadow:0 6px 20px rgba(0,0,0,.16);border-color:#d1d5db}
+  .cc-dock{position:fixed;z-index:2147483000;border:1px solid ${border};border-radius:12px;padding:7px 9px;background:${surface};box-shadow:0 4px 16px rgba(0,0,0,.12);font:600 14px/1 ${font};display:inline-flex;align-items:center;gap:8px;color:${text}}
+  .cc-dock[hidden]{display:none}
+  .cc-dock:hover{box-shadow:0 6px 20px rgba(0,0,0,.16);border-color:${border}}
   .cc-dock[data-position="right"]{right:16px;bottom:16px}
   .cc-dock[data-position="left"]{left:16px;bottom:16px}
   .cc-dock[data-position="bottom"],.cc-dock[data-position="middle-bottom"],.cc-dock[data-position="center"],.cc-dock[data-position="center-bottom"]{left:50%;bottom:16px;transform:translateX(-50%)}
   .cc-dock[data-density="relaxed"]{padding:9px 12px;gap:11px}
-  .cc-dock-brand{white-space:nowrap;padding-right:2px;color:#111827;display:inline-flex;align-items:center;gap:7px}
+  .cc-dock-brand{white-space:nowrap;padding-right:2px;color:${text};display:inline-flex;align-items:center;gap:7px}
   .cc-dock-logo-wrap{width:22px;height:22px;border-radius:999px;display:inline-flex;align-items:center;justify-content:center;background:rgba(17,24,39,.04);overflow:hidden;flex-shrink:0}
   .cc-dock-logo{width:18px;height:18px;display:block}
-  .cc-dock-sep{width:1px;height:22px;background:#e5e7eb}
-  .cc-dock-icon{position:relative;width:28px;height:28px;border:0;border-radius:999px;background:transparent;color:#111827;display:inline-flex;align-items:center;justify-content:center;cursor:pointer;padding:0}
-  .cc-dock-icon:hover{background:#f3f4f6;color:${chatAccent}}
+  .cc-dock-sep{width:1px;height:22px;background:${border}}
+  .cc-dock-icon{position:relative;width:28px;height:28px;border:0;border-radius:999px;background:transparent;color:${text};display:inline-flex;align-items:center;justify-content:center;cursor:pointer;padding:0}
+  .cc-dock-icon:hover{background:${surfaceAlt};color:${chatAccent}}
   .cc-dock-icon svg{width:17px;height:17px;stroke:currentColor;stroke-width:2;fill:none;stroke-linecap:round;stroke-linejoin:round}
-  .cc-dock-alert{position:absolute;right:3px;top:3px;width:8px;height:8px;border-radius:999px;background:${escapeHTML(cfg.messages?.accent || '#336699')};box-shadow:0 0 0 2px #fff;display:none}
+  .cc-dock-alert{position:absolute;right:3px;top:3px;width:8px;height:8px;border-radius:999px;background:${messagesAccent};box-shadow:0 0 0 2px ${surface};display:none}
   .cc-dock-icon[data-alert="true"] .cc-dock-alert{display:block}
-  .cc-chat-btn{position:fixed;right:16px;bottom:72px;z-index:2147483000;border:1px solid #ddd;border-radius:12px;padding:8px 12px;background:#fff;box-shadow:0 4px 16px rgba(0,0,0,.12);font:500 14px/1 system-ui, -apple-system, Segoe UI, Roboto;cursor:pointer;display:inline-flex;align-items:center;gap:8px;color:#111}
-  .cc-chat-btn:hover{box-shadow:0 6px 20px rgba(0,0,0,.16);border-color:#d1d5db}
+  .cc-chat-btn{position:fixed;right:16px;bottom:72px;z-index:2147483000;border:1px solid ${border};border-radius:12px;padding:8px 12px;background:${surface};box-shadow:0 4px 16px rgba(0,0,0,.12);font:500 14px/1 ${font};cursor:pointer;display:inline-flex;align-items:center;gap:8px;color:${text}}
+  .cc-chat-btn:hover{box-shadow:0 6px 20px rgba(0,0,0,.16);border-color:${border}}
   .cc-chat-logo-wrap{width:22px;height:22px;border-radius:999px;display:flex;align-items:center;justify-content:center;background:rgba(17,24,39,.04);overflow:hidden;flex-shrink:0}
   .cc-chat-logo{width:18px;height:18px;display:block}
-  .cc-chat-dot{width:8px;height:8px;border-radius:999px;background:${escapeHTML(cfg.chat?.accent || '#336699')};display:inline-block}
+  .cc-chat-dot{width:8px;height:8px;border-radius:999px;background:${chatAccent};display:inline-block}
   .cc-chat-overlay{position:fixed;inset:0;background:rgba(0,0,0,.25);backdrop-filter:saturate(180%) blur(4px);z-index:2147483002;display:flex;align-items:flex-end;justify-content:flex-end;padding:20px}
-  .cc-chat-panel{width:min(420px,95vw);height:min(620px,85vh);background:#fff;border-radius:16px;box-shadow:0 10px 30px rgba(0,0,0,.2);overflow:hidden;border:1px solid #eee;display:flex;flex-direction:column}
-  .cc-chat-head{display:flex;align-items:center;justify-content:space-between;padding:10px 14px;border-bottom:1px solid #eee;background:#f9fafb}
-  .cc-chat-title{font:600 14px/1.3 system-ui, -apple-system, Segoe UI, Roboto;color:#111;display:flex;align-items:center;gap:8px}
-  .cc-chat-close{border:0;background:transparent;color:#6b7280;cursor:pointer;font-size:18px;line-height:1}
-  .cc-chat-body{flex:1;overflow:auto;padding:12px;background:#fff}
+  .cc-chat-panel{width:min(420px,95vw);height:min(620px,85vh);background:${surface};border-radius:${radius};box-shadow:${shadow};overflow:hidden;border:1px solid ${border};display:flex;flex-direction:column}
+  .cc-chat-head{display:flex;align-items:center;justify-content:space-between;padding:10px 14px;border-bottom:1px solid ${border};background:${surfaceAlt}}
+  .cc-chat-title{font:600 14px/1.3 ${font};color:${text};display:flex;align-items:center;gap:8px}
+  .cc-chat-close{border:0;background:transparent;color:${textMuted};cursor:pointer;font-size:18px;line-height:1}
+  .cc-chat-head-actions{display:flex;align-items:center;gap:8px}
+  .cc-chat-new{border:1px solid ${border};background:${surface};color:${text};border-radius:999px;padding:5px 10px;font:600 11px/1 ${font};cursor:pointer}
+  .cc-chat-new:hover{border-color:${chatAccent};color:${chatAccent}}
+  .cc-chat-body{flex:1;overflow:auto;padding:12px;background:${surface}}
   .cc-chat-msg{margin:0 0 10px;max-width:92%}
-  .cc-chat-msg-user{margin-left:auto;background:#eef2ff;border:1px solid #dbe4ff;color:#1f2937;padding:10px 12px;border-radius:12px}
+  .cc-chat-msg-user{margin-left:auto;background:color-mix(in srgb, ${chatAccent} 10%, ${surface});border:1px solid color-mix(in srgb, ${chatAccent} 22%, ${surface});color:${text};padding:10px 12px;border-radius:12px}
   .cc-chat-msg-ai{margin-right:auto;background:${chatAccent};border:1px solid ${chatAccent};color:${chatAccentContrast};padding:10px 12px;border-radius:12px}
   .cc-chat-msg-ai .cc-chat-text{color:${chatAccentContrast}}
   .cc-chat-text{white-space:pre-wrap;font-size:13px;line-height:1.4}
+  .cc-chat-text.cc-md{white-space:normal;overflow-wrap:anywhere}
+  .cc-md>:first-child{margin-top:0}
+  .cc-md>:last-child{margin-bottom:0}
+  .cc-md-p{margin:0 0 8px}
+  .cc-md-h{margin:10px 0 6px;font-weight:700;font-size:14px}
+  .cc-md-list{margin:0 0 8px;padding-left:20px}
+  .cc-md-list li{margin:2px 0}
+  .cc-md-quote{margin:0 0 8px;padding-left:10px;border-left:3px solid currentColor;opacity:.85}
+  .cc-md-hr{border:0;border-top:1px solid currentColor;opacity:.3;margin:10px 0}
+  .cc-md-code{font:12px/1.4 ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;background:rgba(0,0,0,.14);border-radius:4px;padding:1px 4px}
+  .cc-md-pre{margin:0 0 8px;padding:8px 10px;border-radius:8px;background:rgba(0,0,0,.18);overflow:auto;white-space:pre;font:12px/1.45 ui-monospace,SFMono-Regular,Menlo,Consolas,monospace}
+  .cc-md-link{color:inherit;text-decoration:underline;text-underline-offset:2px}
+  .cc-chat-cite{display:inline-flex;align-items:center;justify-content:center;min-width:16px;height:16px;margin:0 1px;padding:0 4px;vertical-align:super;border:0;border-radius:999px;background:${chatAccentContrast};color:${chatAccent};font:700 10px/1 ${font};cursor:pointer}
+  .cc-chat-source-card.is-highlighted{border-color:${chatAccent};box-shadow:0 0 0 3px color-mix(in srgb, ${chatAccent} 25%, ${surface});transition:box-shadow .2s,border-color .2s}
   .cc-chat-sources{margin-top:10px;display:flex;flex-direction:column;gap:8px}
-  .cc-chat-sources-title{font-size:11px;font-weight:600;letter-spacing:.02em;color:#6b7280;text-transform:uppercase}
-  .cc-chat-source-card{border:1px solid #e5e7eb;border-radius:10px;padding:8px 10px;background:#fff}
+  .cc-chat-sources-title{font-size:11px;font-weight:600;letter-spacing:.02em;color:${textMuted};text-transform:uppercase}
+  .cc-chat-source-card{border:1px solid ${border};border-radius:10px;padding:8px 10px;background:${surface}}
   .cc-chat-source-top{display:flex;align-items:flex-start;gap:8px}
-  .cc-chat-source-icon{width:20px;height:20px;border-radius:999px;display:inline-flex;align-items:center;justify-content:center;font-size:10px;font-weight:700;color:#fff;flex-shrink:0;margin-top:1px}
-  .cc-chat-source-icon[data-kind="blog"]{background:#2563eb}
-  .cc-chat-source-icon[data-kind="download"]{background:#059669}
-  .cc-chat-source-icon[data-kind="page"]{background:#6b7280}
+  .cc-chat-source-icon,.cc-search-icon{width:20px;height:20px;border-radius:999px;display:inline-flex;align-items:center;justify-content:center;font-size:10px;font-weight:700;color:#fff;flex-shrink:0;margin-top:1px}
+  .cc-chat-source-icon[data-kind="blog"],.cc-search-icon[data-kind="blog"]{background:#2563eb}
+  .cc-chat-source-icon[data-kind="download"],.cc-search-icon[data-kind="download"]{background:#059669}
+  .cc-chat-source-icon[data-kind="docs"],.cc-search-icon[data-kind="docs"]{background:#7c3aed}
+  .cc-chat-source-icon[data-kind="page"],.cc-search-icon[data-kind="page"]{background:${textMuted}}
   .cc-chat-source-body{min-width:0;flex:1}
-  .cc-chat-source-link{font-size:13px;font-weight:600;color:#111827;text-decoration:none;display:block;line-height:1.3}
+  .cc-chat-source-link{font-size:13px;font-weight:600;color:${text};text-decoration:none;display:block;line-height:1.3}
   .cc-chat-source-link:hover{color:${chatAccent}}
-  .cc-chat-source-snippet{margin-top:3px;font-size:12px;color:#4b5563;line-height:1.45;display:-webkit-box;-webkit-line-clamp:2;-webkit-box-orient:vertical;overflow:hidden}
+  .cc-chat-source-snippet{margin-top:3px;font-size:12px;color:${textMuted};line-height:1.45;display:-webkit-box;-webkit-line-clamp:2;-webkit-box-orient:vertical;overflow:hidden}
   .cc-chat-source-snippet.is-expanded{display:block;-webkit-line-clamp:unset;overflow:visible}
   .cc-chat-source-more{margin-top:4px;border:0;background:transparent;padding:0;color:${chatAccent};font-size:11px;font-weight:600;cursor:pointer}
-  .cc-chat-source-preview{margin-top:8px;border:1px solid #e5e7eb;border-radius:8px;overflow:hidden;background:#fff}
-  .cc-chat-source-preview-btn{display:block;width:100%;padding:0;border:0;background:#fff;cursor:pointer;text-align:left}
-  .cc-chat-source-preview-embed{width:100%;height:96px;border:0;display:block;background:#f8fafc}
-  .cc-chat-source-preview-fallback{height:96px;display:flex;flex-direction:column;align-items:center;justify-content:center;gap:4px;background:linear-gradient(180deg,#fff,#f8fafc);color:#334155}
+  .cc-chat-source-preview{margin-top:8px;border:1px solid ${border};border-radius:8px;overflow:hidden;background:${surface}}
+  .cc-chat-source-preview-btn{display:block;width:100%;padding:0;border:0;background:${surface};cursor:pointer;text-align:left}
+  .cc-chat-source-preview-embed{width:100%;height:96px;border:0;display:block;background:${surfaceAlt}}
+  .cc-chat-source-preview-fallback{height:96px;display:flex;flex-direction:column;align-items:center;justify-content:center;gap:4px;background:linear-gradient(180deg,${surface},${surfaceAlt});color:${text}}
   .cc-chat-source-preview-fallback strong{font-size:11px;letter-spacing:.03em}
-  .cc-chat-source-preview-fallback span{font-size:11px;color:#64748b}
-  .cc-chat-source-url{margin-top:2px;font-size:11px;color:#9ca3af;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+  .cc-chat-source-preview-fallback span{font-size:11px;color:${textMuted}}
+  .cc-chat-source-url{margin-top:2px;font-size:11px;color:${textMuted};white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
   .cc-chat-source-actions{margin-top:8px;display:flex;align-items:center;gap:8px}
-  .cc-chat-source-cta{border:1px solid ${chatAccent};background:${chatAccent};color:#fff;border-radius:999px;padding:6px 12px;font:600 11px/1 system-ui, -apple-system, Segoe UI, Roboto;cursor:pointer}
-  .cc-chat-source-cta[data-variant="secondary"]{background:#fff;color:${chatAccent}}
+  .cc-chat-source-cta{border:1px solid ${chatAccent};background:${chatAccent};color:${chatAccentContrast};border-radius:999px;padding:6px 12px;font:600 11px/1 ${font};cursor:pointer}
+  .cc-chat-source-cta[data-variant="secondary"]{background:${surface};color:${chatAccent}}
   .cc-chat-msg-actions{margin-top:10px;display:flex;align-items:center;gap:8px;flex-wrap:wrap}
-  .cc-chat-msg-action{border:1px solid ${chatAccent};background:#fff;color:${chatAccent};border-radius:999px;padding:6px 12px;font:600 11px/1 system-ui, -apple-system, Segoe UI, Roboto;cursor:pointer}
+  .cc-chat-handoff{max-width:100%;margin-right:0;padding:12px;border:1px solid ${border};border-radius:12px;background:${surfaceAlt};color:${text}}
+  .cc-chat-handoff-title{font:700 14px/1.3 ${font};margin-bottom:4px}
+  .cc-chat-handoff-text{margin:0 0 10px;font-size:12px;line-height:1.45;color:${textMuted}}
+  .cc-chat-handoff-error{margin-bottom:8px;font-size:12px;color:#b91c1c}
+  .cc-chat-handoff-error[hidden]{display:none}
+  .cc-chat-handoff .cc-chat-msg-actions{margin-top:4px}
+  .cc-chat-quote{display:flex;align-items:flex-start;gap:8px;margin:0 12px 8px;padding:8px 10px;border-left:3px solid ${chatAccent};background:${surfaceAlt};color:${textMuted};font:500 12px/1.4 ${font};border-radius:0 8px 8px 0}
+  .cc-chat-quote[hidden],.cc-chat-selection-btn[hidden]{display:none}
+  .cc-chat-quote-text{flex:1;min-width:0;display:-webkit-box;-webkit-line-clamp:3;-webkit-box-orient:vertical;overflow:hidden}
+  .cc-chat-quote-remove{border:0;background:transparent;color:${textMuted};cursor:pointer;font-size:16px;line-height:1;padding:0}
+  .cc-chat-msg-quote{margin-bottom:6px;padding-left:8px;border-left:2px solid currentColor;opacity:.75;font-size:12px;line-height:1.4;display:-webkit-box;-webkit-line-clamp:3;-webkit-box-orient:vertical;overflow:hidden}
+  .cc-chat-selection-btn{position:fixed;z-index:2147483001;border:1px solid ${chatAccent};background:${chatAccent};color:${chatAccentContrast};border-radius:999px;padding:7px 12px;font:600 12px/1 ${font};box-shadow:0 4px 16px rgba(0,0,0,.18);cursor:pointer;white-space:nowrap}
+  .cc-chat-suggestions{margin-top:10px;display:flex;flex-wrap:wrap;gap:6px}
+  .cc-chat-suggestion{border:1px solid ${border};background:${surface};color:${text};border-radius:999px;padding:6px 10px;font:500 12px/1.3 ${font};cursor:pointer;text-align:left}
+  .cc-chat-suggestion:hover{border-color:${chatAccent};color:${chatAccent}}
+  .cc-chat-msg-tools{margin-top:8px;display:flex;align-items:center;gap:4px}
+  .cc-chat-tool{display:inline-flex;align-items:center;justify-content:center;min-width:26px;height:26px;padding:0 6px;border:1px solid transparent;border-radius:8px;background:transparent;color:inherit;opacity:.75;cursor:pointer;font:600 11px/1 ${font}}
+  .cc-chat-tool:hover,.cc-chat-tool[aria-pressed="true"]{opacity:1;border-color:currentColor}
+  .cc-chat-tool svg{width:14px;height:14px;stroke:currentColor;stroke-width:2;fill:none;stroke-linecap:round;stroke-linejoin:round}
+  .cc-chat-tool[aria-pressed="true"] svg{fill:currentColor;fill-opacity:.25}
+  .cc-chat-feedback{margin-top:8px;padding:10px;border-radius:10px;background:${surface};color:${text};display:flex;flex-direction:column;gap:8px}
+  .cc-chat-feedback-title{font:600 12px/1.3 ${font}}
+  .cc-chat-feedback-reasons{display:flex;flex-wrap:wrap;gap:6px}
+  .cc-chat-feedback-reason{border:1px solid ${border};background:${surface};color:${text};border-radius:999px;padding:5px 10px;font:500 11px/1 ${font};cursor:pointer}
+  .cc-chat-feedback-reason[aria-pressed="true"]{border-color:${chatAccent};background:${chatAccent};color:${chatAccentContrast}}
+  .cc-chat-feedback-comment{border:1px solid ${border};border-radius:8px;padding:6px 8px;background:${surface};color:${text};font:500 12px/1.4 ${font};resize:vertical}
+  .cc-chat-feedback-comment:focus{outline:0;border-color:${chatAccent}}
+  .cc-chat-feedback-actions{display:flex;align-items:center;gap:8px}
+  .cc-chat-feedback-skip{border:0;background:transparent;color:${textMuted};font:600 11px/1 ${font};cursor:pointer}
+  .cc-chat-msg-action{border:1px solid ${chatAccent};background:${surface};color:${chatAccent};border-radius:999px;padding:6px 12px;font:600 11px/1 ${font};cursor:pointer}
   .cc-chat-spinner-wrap{display:flex;align-items:center;gap:6px;font-size:12px;line-height:1.2}
   .cc-chat-spinner{width:12px;height:12px;border:2px solid rgba(255,255,255,.4);border-top-color:${chatAccentContrast};border-radius:999px;animation:cc-spin .8s linear infinite}
   @keyframes cc-spin { to { transform: rotate(360deg); } }
-  .cc-chat-input-row{padding:10px;border-top:1px solid #eee;display:flex;gap:8px;background:#fff}
-  .cc-chat-input{flex:1;border:1px solid #d1d5db;border-radius:10px;padding:10px 12px;outline:0;font:500 14px/1.3 system-ui, -apple-system, Segoe UI, Roboto}
-  .cc-chat-input:focus{border-color:${chatAccent};box-shadow:0 0 0 3px color-mix(in srgb, ${chatAccent} 20%, white)}
-  .cc-chat-input-email-focus{border-color:${chatAccent}!important;box-shadow:0 0 0 3px color-mix(in srgb, ${chatAccent} 30%, white)!important;animation:cc-input-pulse 1.2s ease-in-out 2}
+  .cc-chat-input-row{padding:10px;border-top:1px solid ${border};display:flex;gap:8px;background:${surface}}
+  .cc-chat-input{flex:1;border:1px solid ${border};border-radius:10px;padding:10px 12px;outline:0;background:${surface};color:${text};font:500 14px/1.3 ${font}}
+  .cc-chat-input:focus{border-color:${chatAccent};box-shadow:0 0 0 3px color-mix(in srgb, ${chatAccent} 20%, ${surface})}
+  .cc-chat-input-email-focus{border-color:${chatAccent}!important;box-shadow:0 0 0 3px color-mix(in srgb, ${chatAccent} 30%, ${surface})!important;animation:cc-input-pulse 1.2s ease-in-out 2}
   @keyframes cc-input-pulse {
-    0%{box-shadow:0 0 0 0 color-mix(in srgb, ${chatAccent} 35%, white)}
+    0%{box-shadow:0 0 0 0 color-mix(in srgb, ${chatAccent} 35%, ${surface})}
     70%{box-shadow:0 0 0 8px color-mix(in srgb, ${chatAccent} 0%, transparent)}
     100%{box-shadow:0 0 0 0 color-mix(in srgb, ${chatAccent} 0%, transparent)}
   }
-  .cc-chat-send{border:1px solid ${chatAccent};background:${chatAccent};color:#fff;border-radius:10px;padding:0 12px;cursor:pointer;font:600 13px/1 system-ui, -apple-system, Segoe UI, Roboto}
+  .cc-chat-send{border:1px solid ${chatAccent};background:${chatAccent};color:${chatAccentContrast};border-radius:10px;padding:0 12px;cursor:pointer;font:600 13px/1 ${font}}
   .cc-chat-send[disabled]{opacity:.6;cursor:not-allowed}
-  .cc-search-btn{position:fixed;right:16px;bottom:16px;z-index:2147483000;border:1px solid #ddd;border-radius:12px;padding:8px 12px;background:#fff;box-shadow:0 4px 16px rgba(0,0,0,.12);font:500 14px/1 system-ui, -apple-system, Segoe UI, Roboto;cursor:pointer;display:inline-flex;align-items:center;gap:8px;color:#111}
-  .cc-search-btn:hover{box-shadow:0 6px 20px rgba(0,0,0,.16);border-color:#d1d5db}
+  .cc-search-btn{position:fixed;right:16px;bottom:16px;z-index:2147483000;border:1px solid ${border};border-radius:12px;padding:8px 12px;background:${surface};box-shadow:0 4px 16px rgba(0,0,0,.12);font:500 14px/1 ${font};cursor:pointer;display:inline-flex;align-items:center;gap:8px;color:${text}}
+  .cc-search-btn:hover{box-shadow:0 6px 20px rgba(0,0,0,.16);border-color:${border}}
   .cc-search-logo-wrap{width:22px;height:22px;border-radius:999px;display:flex;align-items:center;justify-content:center;background:rgba(17,24,39,.04);overflow:hidden;flex-shrink:0}
   .cc-search-logo{width:18px;height:18px;display:block}
   .cc-search-label{white-space:nowrap}
-  .cc-search-btn kbd{margin-left:4px;padding:2px 6px;border-radius:8px;border:1px solid #e5e7eb;background:#f9fafb;font-size:11px;line-height:1.2;color:#4b5563}
-  .cc-search-input-row{display:flex;align-items:center;padding:10px 16px;border-bottom:1px solid #eee;background:#f9fafb;gap:10px}
-  .cc-search-input-logo-wrap{width:26px;height:26px;border-radius:999px;display:flex;align-items:center;justify-content:center;background:#fff;box-shadow:0 0 0 1px rgba(15,23,42,.04);flex-shrink:0}
+  .cc-search-btn kbd{margin-left:4px;padding:2px 6px;border-radius:8px;border:1px solid ${border};background:${surfaceAlt};font-size:11px;line-height:1.2;color:${textMuted}}
+  .cc-search-input-row{display:flex;align-items:center;padding:10px 16px;border-bottom:1px solid ${border};background:${surfaceAlt};gap:10px}
+  .cc-search-input-logo-wrap{width:26px;height:26px;border-radius:999px;display:flex;align-items:center;justify-content:center;background:${surface};box-shadow:0 0 0 1px rgba(15,23,42,.04);flex-shrink:0}
   .cc-search-input-logo{width:20px;height:20px;display:block}
   .cc-search-overlay{position:fixed;inset:0;background:rgba(0,0,0,.25);backdrop-filter:saturate(180%) blur(4px);z-index:2147483001;display:flex;align-items:flex-start;justify-content:center;padding-top:10vh}
-  .cc-search-panel{width:min(720px,92vw);background:#fff;border-radius:16px;box-shadow:0 10px 30px rgba(0,0,0,.2);overflow:hidden;border:1px solid #eee}
-  .cc-search-input{width:100%;border:0;outline:0;padding:8px 0;font:500 16px/1.4 system-ui, -apple-system, Segoe UI, Roboto;background:transparent}
+  .cc-search-panel{width:min(720px,92vw);background:${surface};border-radius:${radius};box-shadow:${shadow};overflow:hidden;border:1px solid ${border}}
+  .cc-search-input{width:100%;border:0;outline:0;padding:8px 0;font:500 16px/1.4 ${font};background:transparent;color:${text}}
   .cc-search-list{max-height:60vh;overflow:auto}
-  .cc-search-item{padding:12px 18px;border-bottom:1px solid #f4f4f5;cursor:pointer}
-  .cc-search-item[aria-selected="true"]{background:#f5f7ff}
-  .cc-search-empty{padding:16px 18px;color:#6b7280}
+  .cc-search-item{padding:12px 18px;border-bottom:1px solid ${border};cursor:pointer}
+  .cc-search-item[aria-selected="true"]{background:color-mix(in srgb, ${searchAccent} 8%, ${surface})}
+  .cc-search-empty{padding:16px 18px;color:${textMuted}}
+  .cc-search-item .cc-title{font-weight:600;color:${searchAccent}}
+  .cc-search-item .cc-sub{font-size:12px;color:${textMuted};white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+  .cc-search-item .cc-url{font-size:11px;color:${textMuted};white-space:nowrap;overflow:hidden;text-overflow:ellipsis;margin-top:2px}
+  .cc-search-icon[data-kind="ai"]{background:${chatAccent};color:${chatAccentContrast}}
+  .cc-search-ask .cc-title{font-weight:600;color:${chatAccent}}
+  .cc-search-more{display:block;width:100%;padding:12px 18px;border:0;background:${surfaceAlt};color:${searchAccent};font:600 13px/1 ${font};cursor:pointer}
+  .cc-search-more:hover{background:color-mix(in srgb, ${searchAccent} 8%, ${surface})}
   .cc-search-item .cc-hl{ background:${hl}; border-radius:3px; padding:0 2px }
-  .cc-campaign-layer{position:fixed;z-index:2147483003;font:500 14px/1.45 system-ui,-apple-system,Segoe UI,Roboto;color:#111}
+  .cc-search-item-row{display:flex;align-items:flex-start;gap:10px}
+  .cc-search-item-body{min-width:0;flex:1}
+  .cc-search-facets{display:flex;flex-wrap:wrap;gap:6px;padding:8px 16px;border-bottom:1px solid ${border};background:${surface}}
+  .cc-search-facets:empty{display:none}
+  .cc-search-facet{border:1px solid ${border};background:${surface};color:${text};border-radius:999px;padding:5px 10px;font:600 12px/1 ${font};cursor:pointer;display:inline-flex;align-items:center;gap:6px}
+  .cc-search-facet:hover{border-color:${searchAccent};color:${searchAccent}}
+  .cc-search-facet[aria-pressed="true"]{border-color:${searchAccent};background:${searchAccent};color:${searchAccentContrast}}
+  .cc-search-facet-count{font-weight:500;opacity:.75}
+  .cc-search-group{display:flex;align-items:center;gap:6px;padding:10px 18px 4px;font-size:11px;font-weight:600;letter-spacing:.02em;text-transform:uppercase;color:${textMuted}}
+  .cc-keys-overlay{position:fixed;inset:0;background:rgba(0,0,0,.25);backdrop-filter:saturate(180%) blur(4px);z-index:2147483004;display:flex;align-items:center;justify-content:center;padding:20px}
+  .cc-keys-panel{width:min(420px,92vw);background:${surface};border-radius:${radius};box-shadow:${shadow};overflow:hidden;border:1px solid ${border}}
+  .cc-keys-head{display:flex;align-items:center;justify-content:space-between;padding:10px 14px;border-bottom:1px solid ${border};background:${surfaceAlt};font:600 14px/1.3 ${font};color:${text}}
+  .cc-keys-list{padding:8px 16px 14px}
+  .cc-keys-row{display:flex;align-items:center;justify-content:space-between;gap:12px;padding:7px 0;font:500 13px/1.3 ${font};color:${text}}
+  .cc-keys-row kbd{margin-left:4px;padding:2px 6px;border-radius:8px;border:1px solid ${border};background:${surfaceAlt};font-size:11px;line-height:1.2;color:${textMuted}}
+  .cc-campaign-layer{position:fixed;z-index:2147483003;font:500 14px/1.45 ${font};color:${text}}
   .cc-campaign-scrim{position:fixed;inset:0;background:rgba(15,23,42,.42);z-index:2147483003;display:flex;align-items:center;justify-content:center;padding:18px}
-  .cc-campaign-card{position:relative;width:min(460px,94vw);max-height:88vh;overflow:auto;background:#fff;border:1px solid #e5e7eb;border-radius:14px;box-shadow:0 18px 46px rgba(15,23,42,.24)}
+  .cc-campaign-card{position:relative;width:min(460px,94vw);max-height:88vh;overflow:auto;background:${surface};border:1px solid ${border};border-radius:${radius};box-shadow:${shadow}}
   .cc-campaign-card[data-layout="toast"]{position:fixed;left:18px;bottom:18px;width:min(380px,92vw)}
   .cc-campaign-card[data-layout="banner"]{position:fixed;left:12px;right:12px;bottom:12px;width:auto;max-width:960px;margin:0 auto}
   .cc-campaign-head{display:flex;align-items:flex-start;justify-content:space-between;gap:12px;padding:16px 16px 0}
-  .cc-campaign-title{margin:0;font-size:17px;line-height:1.25;font-weight:700;color:#111827}
-  .cc-campaign-close{border:0;background:transparent;color:#64748b;font-size:20px;line-height:1;cursor:pointer}
+  .cc-campaign-title{margin:0;font-size:17px;line-height:1.25;font-weight:700;color:${text}}
+  .cc-campaign-close{border:0;background:transparent;color:${textMuted};font-size:20px;line-height:1;cursor:pointer}
   .cc-campaign-card[data-image="flush"] .cc-campaign-close{position:absolute;right:10px;top:10px;z-index:2;width:30px;height:30px;border-radius:999px;background:rgba(15,23,42,.58);color:#fff;display:flex;align-items:center;justify-content:center}
-  .cc-campaign-hero-img{display:block;width:100%;height:190px;object-fit:cover;background:#f8fafc}
+  .cc-campaign-hero-img{display:block;width:100%;height:190px;object-fit:cover;background:${surfaceAlt}}
   .cc-campaign-body{padding:14px 16px 16px}
-  .cc-campaign-text{margin:0 0 12px;color:#334155;white-space:pre-wrap}
-  .cc-campaign-img{width:100%;max-height:220px;object-fit:cover;border-radius:10px;margin-bottom:12px;background:#f8fafc}
+  .cc-campaign-text{margin:0 0 12px;color:${text};white-space:pre-wrap}
+  .cc-campaign-img{width:100%;max-height:220px;object-fit:cover;border-radius:10px;margin-bottom:12px;background:${surfaceAlt}}
   .cc-campaign-actions{display:flex;gap:8px;flex-wrap:wrap;margin-top:14px;align-items:center}
   .cc-campaign-actions-stacked{display:grid;grid-template-columns:1fr;gap:8px}
-  .cc-campaign-action{border:0;background:transparent;font:700 13px/1 system-ui,-apple-system,Segoe UI,Roboto;cursor:pointer;text-decoration:none;text-align:center}
-  .cc-campaign-action-button{border:1px solid #d1d5db;background:#fff;color:#111827;border-radius:8px;padding:9px 13px;box-shadow:0 1px 2px rgba(15,23,42,.08)}
-  .cc-campaign-action-button:hover{background:#f9fafb;border-color:#9ca3af}
-  .cc-campaign-action-button-accent{border-color:${escapeHTML(cfg.messages?.accent || '#336699')};background:${escapeHTML(cfg.messages?.accent || '#336699')};color:${escapeHTML(contrastTextForColor(cfg.messages?.accent || '#336699'))}}
-  .cc-campaign-action-button-accent:hover{border-color:${escapeHTML(cfg.messages?.accent || '#336699')};background:${escapeHTML(cfg.messages?.accent || '#336699')};color:${escapeHTML(contrastTextForColor(cfg.messages?.accent || '#336699'))};filter:brightness(.96)}
-  .cc-campaign-action-link{color:${escapeHTML(cfg.messages?.accent || '#336699')};padding:4px 0;text-decoration:underline;text-underline-offset:3px}
+  .cc-campaign-action{border:0;background:transparent;font:700 13px/1 ${font};cursor:pointer;text-decoration:none;text-align:center}
+  .cc-campaign-action-button{border:1px solid ${border};background:${surface};color:${text};border-radius:8px;padding:9px 13px;box-shadow:0 1px 2px rgba(15,23,42,.08)}
+  .cc-campaign-action-button:hover{background:${surfaceAlt};border-color:${textMuted}}
+  .cc-campaign-action-button-accent{border-color:${messagesAccent};background:${messagesAccent};color:${messagesAccentContrast}}
+  .cc-campaign-action-button-accent:hover{border-color:${messagesAccent};background:${messagesAccent};color:${messagesAccentContrast};filter:brightness(.96)}
+  .cc-campaign-action-link{color:${messagesAccent};padding:4px 0;text-decoration:underline;text-underline-offset:3px}
   .cc-campaign-actions-stacked .cc-campaign-action-button{display:block;width:100%}
   .cc-campaign-field{display:flex;flex-direction:column;gap:5px;margin-bottom:10px}
-  .cc-campaign-field label{font-size:12px;font-weight:700;color:#334155}
-  .cc-campaign-field input,.cc-campaign-field textarea{border:1px solid #cbd5e1;border-radius:9px;padding:9px 10px;font:500 14px/1.3 system-ui,-apple-system,Segoe UI,Roboto}
+  .cc-campaign-field label{font-size:12px;font-weight:700;color:${text}}
+  .cc-campaign-field input,.cc-campaign-field textarea{border:1px solid ${border};border-radius:9px;padding:9px 10px;background:${surface};color:${text};font:500 14px/1.3 ${font}}
   .cc-campaign-error{font-size:12px;color:#b91c1c;margin-top:8px}
-  .cc-campaign-step-count{font-size:12px;color:#64748b;margin-bottom:8px}
+  .cc-campaign-step-count{font-size:12px;color:${textMuted};margin-bottom:8px}
     `;
   }
+  // UI mount: widgets live in document.body by default, or inside one shadow root
+  // (`data-isolation="shadow"`) so host CSS cannot reach them and ours cannot leak out.
+  // Inside the shadow root, elements expose `part` names for `#cc-embed-root::part(...)`.
+  let uiShadow = null;
+  const useShadow = ()=> cfg.isolation === 'shadow' && typeof D.body?.attachShadow === 'function';
+  function uiRoot(){
+    if (!useShadow()) return D.body;
+    if (!uiShadow){
+      const host = D.createElement('div');
+      host.id = 'cc-embed-root';
+      uiShadow = host.attachShadow({ mode: 'open' });
+      D.body.appendChild(host);
+    }
+    return uiShadow;
+  }
+  let mounted = [];
+  function mountUi(el){
+    mounted = mounted.filter((n)=> n.isConnected);
+    mounted.push(el);
+    uiRoot().appendChild(el);
+    return el;
+  }
+  function unmountUi(){
+    mounted.forEach((n)=>{ try{ n.remove() }catch{} });
+    mounted = [];
+    try{ D.getElementById('cc-embed-style')?.remove() }catch{}
+    if (uiShadow){ try{ uiShadow.host.remove() }catch{} uiShadow = null }
+  }
+  function queryUi(selector){ return (useShadow() ? uiRoot() : D).querySelector(selector) }
+  const isUiNode = (el)=> mounted.some((n)=> n.contains(el)) || !!uiShadow?.host.contains(el);
+  // Visitor's text selection on the page (not inside our own UI), whitespace-collapsed
+  const MAX_QUOTE_CHARS = 1000;
+  function pageSelection(){
+    try {
+      const sel = W.getSelection?.();
+      if (!sel || sel.isCollapsed || !sel.rangeCount) return null;
+      const text = String(sel.toString() || '').replace(/\s+/g, ' ').trim();
+      if (text.length < 3) return null;
+      const node = sel.anchorNode;
+      const el = node?.nodeType === 1 ? node : node?.parentElement;
+      if (!el || isUiNode(el)) return null;
+      return { text: text.slice(0, MAX_QUOTE_CHARS), rect: sel.getRangeAt(0).getBoundingClientRect() };
+    } catch { return null }
+  }
+  function styleText(){
+    if (!useShadow()) return buildSearchStyles();
+    // Block inherited host styles (font, color, line-height…) at the shadow boundary
+    const t = themeTokens();
+    return `:host{all:initial;font:400 14px/1.4 var(--cc-font, ${cssSafe(t.font)});color:var(--cc-text, ${cssSafe(t.text)})}\n` + buildSearchStyles();
+  }
   function injectStyle(){
-    if (D.getElementById('cc-embed-style')) return;
-    const s = D.createElement('style'); s.id='cc-embed-style'; s.textContent = buildSearchStyles(); D.head.appendChild(s);
+    const shadow = useShadow();
+    const root = shadow ? uiRoot() : D;
+    if (root.getElementById('cc-embed-style')) return;
+    const s = D.createElement('style'); s.id='cc-embed-style';
+    s.textContent = styleText();
+    appliedVariant = themeVariant();
+    (shadow ? root : D.head).appendChild(s);
+    watchTheme();
   }
   function normalizeDockPosition(raw){
     const value = String(raw || '').toLowerCase().replace(/_/g, '-').trim();
@@ -604,17 +1922,26 @@
     if (kind === 'chat') return '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M21 15a4 4 0 0 1-4 4H8l-5 3V7a4 4 0 0 1 4-4h10a4 4 0 0 1 4 4z"></path></svg>';
     return '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M4 5h16"></path><path d="M5 5v14"></path><path d="M19 5v14"></path><path d="M8 9h8"></path><path d="M8 13h5"></path></svg>';
   }
+  function applyDockLayout(dock){
+    dock.setAttribute('data-position', normalizeDockPosition(cfg.dock?.position));
+    dock.setAttribute('data-density', normalizeDockDensity(cfg.dock?.density));
+  }
+  const chatLauncherLabel = ()=> cfg.chat?.launcherLabel || cfg.chat?.name || COMPASS_AI_NAME;
+  function labelDockButton(btn, label, hint){
+    btn.setAttribute('aria-label', label);
+    btn.setAttribute('title', hint ? `${label} (${hint})` : label);
+  }
   function createDock(controllers){
     const items = [];
-    if (controllers?.search) items.push({ kind:'search', label:'Search', open: controllers.search.open });
-    if (controllers?.chat) items.push({ kind:'chat', label: cfg.chat?.name || COMPASS_AI_NAME, open: controllers.chat.open });
+    if (controllers?.search) items.push({ kind:'search', label:'Search', hint: controllers.search.hotkeyHint, open: controllers.search.open });
+    if (controllers?.chat) items.push({ kind:'chat', label: chatLauncherLabel(), hint: controllers.chat.hotkeyHint, open: controllers.chat.open });
     if (cfg.messages?.enabled) items.push({ kind:'campaign', label:'Campaigns', open: openDockCampaign });
     if (!items.length) return null;
     injectStyle();
     const dock = D.createElement('div');
     dock.className = 'cc-dock';
-    dock.setAttribute('data-position', normalizeDockPosition(cfg.dock?.position));
-    dock.setAttribute('data-density', normalizeDockDensity(cfg.dock?.density));
+    dock.setAttribute('part', 'dock');
+    applyDockLayout(dock);
     dock.setAttribute('role', 'toolbar');
     dock.setAttribute('aria-label', 'Compass tools');
     const brand = D.createElement('span');
@@ -624,22 +1951,9 @@
     const brandLogo = D.createElement('img');
     brandLogo.className = 'cc-dock-logo';
     brandLogo.alt = 'Credibility Compass';
-    function updateDockLogo(){
-      try{
-        const dark = isDarkMode();
-        const src = dark
-          ? (cfg.search?.logoDark || cfg.chat?.logoDark || cfg.search?.logoLight || cfg.chat?.logoLight)
-          : (cfg.search?.logoLight || cfg.chat?.logoLight || cfg.search?.logoDark || cfg.chat?.logoDark);
-        if (src) brandLogo.src = src;
-      }catch{}
-    }
-    updateDockLogo();
-    if (darkMql){
-      try{
-        if (darkMql.addEventListener) darkMql.addEventListener('change', updateDockLogo);
-        else if (darkMql.addListener) darkMql.addListener(updateDockLogo);
-      }catch{}
-    }
+    themedLogo(brandLogo,
+      cfg.search?.logoLight || cfg.chat?.logoLight,
+      cfg.search?.logoDark || cfg.chat?.logoDark);
     const brandText = D.createElement('span');
     brandText.textContent = 'Compass';
     brandLogoWrap.appendChild(brandLogo);
@@ -651,8 +1965,8 @@
       const btn = D.createElement('button');
       btn.type = 'button';
       btn.className = 'cc-dock-icon';
-      btn.setAttribute('aria-label', item.label);
-      btn.setAttribute('title', item.label);
+      btn.setAttribute('part', 'dock-button');
+      labelDockButton(btn, item.label, item.hint);
       btn.setAttribute('data-kind', item.kind);
       btn.innerHTML = dockIconSvg(item.kind);
       if (item.kind === 'campaign') {
@@ -663,132 +1977,467 @@
       btn.addEventListener('click', item.open);
       dock.appendChild(btn);
     });
-    D.body.appendChild(dock);
+    mountUi(dock);
     updateCampaignDockAlert();
     return dock;
   }
   function updateCampaignDockAlert(){
     try{
-      const btn = D.querySelector('.cc-dock-icon[data-kind="campaign"]');
+      const btn = queryUi('.cc-dock-icon[data-kind="campaign"]');
       if (btn) btn.setAttribute('data-alert', lastDismissedCampaignMessage ? 'true' : 'false');
     }catch{}
   }
 
-  function createSearch(){
+  // Content kind for chat citations and search results: blog | download | docs | page
+  const SOURCE_KIND_ALIASES = {
+    blog:'blog', blogs:'blog', post:'blog', posts:'blog', article:'blog', articles:'blog',
+    download:'download', downloads:'download', pdf:'download', file:'download', lead_magnet:'download', 'lead-magnet':'download', leadmagnet:'download',
+    docs:'docs', doc:'docs', documentation:'docs', guide:'docs', guides:'docs',
+    page:'page', pages:'page',
+  };
+  function classifyCitation(c){
+    const kind = SOURCE_KIND_ALIASES[String(c?.sourceKind || '').toLowerCase()];
+    if (kind) return kind;
+    const sourceType = String(c?.sourceType || '').toLowerCase();
+    if (sourceType.includes('blog')) return 'blog';
+    const url = String(c?.url || c?.canonicalUrl || '').toLowerCase();
+    if (/\/blog(s)?\//.test(url)) return 'blog';
+    if (/\/lead-magnets\//.test(url) || /\.(pdf|ppt|pptx|doc|docx|xls|xlsx|zip)(\?|$)/.test(url)) return 'download';
+    if (/\/docs?\//.test(url)) return 'docs';
+    return 'page';
+  }
+  function sourceGlyph(kind){
+    if (kind === 'blog') return 'B';
+    if (kind === 'download') return 'DL';
+    if (kind === 'docs') return 'D';
+    return 'P';
+  }
+  const SOURCE_KIND_LABELS = { blog:'Blog posts', download:'Downloads', docs:'Docs', page:'Pages' };
+  // Group for a search result: its `type`/`section` field, falling back to URL heuristics
+  function searchResultGroup(it){
+    const raw = String(it?.type || it?.section || '').trim();
+    const alias = SOURCE_KIND_ALIASES[raw.toLowerCase()];
+    const kind = classifyCitation(Object.assign({}, it, { sourceKind: alias || it?.sourceKind || '' }));
+    if (!raw || alias) return { key: kind, kind, label: SOURCE_KIND_LABELS[kind] };
+    return { key: raw.toLowerCase(), kind, label: raw.charAt(0).toUpperCase() + raw.slice(1) };
+  }
+
+  // `handoff` (optional): { available(), ask(query, hits) } bridge to the chat widget
+  function createSearch(handoff){
     if (!cfg.search.enabled || !cfg.search.endpoint) return; // disabled or no backend
     injectStyle();
 
-    let overlay=null, input=null, list=null, idx=-1, items=[], currentQ='';
+    // `results` holds the last response; `items` is the visible (filtered, grouped) order used for keyboard nav
+    let overlay=null, input=null, list=null, facetBar=null, idx=-1, items=[], results=[], currentQ='', activeFacet='';
+    // Paging + cancellation: each request gets a sequence number; only the latest may render
+    const MAX_RESULTS = 200;
+    const pageSize = ()=> clamp(parseInt(cfg.search.pageSize, 10) || 20, 5, 50);
+    let searchAbort=null, searchSeq=0, nextCursor='', nextOffset=0, hasMore=false, pageLoading=false, pageNo=0;
+
+    // First-page results cache (LRU, per tab) + visitor's recent searches and clicked results
+    const CACHE_KEY = 'cc_search_cache';
+    const CACHE_MAX = 20;
+    const CACHE_TTL_MS = 10 * 60 * 1000;
+    const HISTORY_MAX = 6;
+    const cacheKey = (q)=> String(q || '').trim().toLowerCase();
+    function cacheGet(q){
+      const key = cacheKey(q);
+      const entries = ss.get(CACHE_KEY, []);
+      const i = entries.findIndex((e)=> e && e.k === key);
+      if (i < 0) return null;
+      const [hit] = entries.splice(i, 1);
+      if (now() - (hit.ts || 0) > CACHE_TTL_MS){ ss.set(CACHE_KEY, entries); return null }
+      entries.unshift(hit);
+      ss.set(CACHE_KEY, entries);
+      return hit;
+    }
+    function cachePut(q, entry){
+      const key = cacheKey(q);
+      const entries = ss.get(CACHE_KEY, []).filter((e)=> e && e.k !== key);
+      entries.unshift(Object.assign({ k: key, ts: now() }, entry));
+      ss.set(CACHE_KEY, entries.slice(0, CACHE_MAX));
+    }
+    function readHistory(){
+      const h = persistentIds() ? ls.get(SEARCH_HISTORY_KEY, null) : null;
+      return { queries: Array.isArray(h?.queries) ? h.queries : [], selections: Array.isArray(h?.selections) ? h.selections : [] };
+    }
+    function rememberQuery(q){
+      const text = String(q || '').trim();
+      if (!text || !persistentIds()) return;
+      const h = readHistory();
+      h.queries = [text].concat(h.queries.filter((x)=> cacheKey(x) !== cacheKey(text))).slice(0, HISTORY_MAX);
+      ls.set(SEARCH_HISTORY_KEY, h);
+    }
+    function rememberSelection(it, url){
+      if (!persistentIds()) return;
+      const h = readHistory();
+      const entry = { title: String(it.title || it.name || url), url: String(url), type: it._group?.key || null };
+      h.selections = [entry].concat(h.selections.filter((x)=> x?.url !== entry.url)).slice(0, HISTORY_MAX);
+      ls.set(SEARCH_HISTORY_KEY, h);
+    }
+    function clearHistory(){
+      ls.del(SEARCH_HISTORY_KEY);
+      ss.del(CACHE_KEY);
+      enqueue('search_history_cleared', {});
+      renderSuggestions();
+      if (input) input.focus();
+    }
 
-    function open(){
-      if (overlay) return; // already open
-      overlay = D.createElement('div'); overlay.className='cc-search-overlay';
-      const panel = D.createElement('div'); panel.className='cc-search-panel';
+    // `query` (API only) pre-fills the input and runs the search
+    function open(query){
+      const q = typeof query === 'string' ? query.trim() : '';
+      if (overlay){
+        if (q){ input.value = q; onInput() }
+        return;
+      }
+      overlay = D.createElement('div'); overlay.className='cc-search-overlay'; overlay.setAttribute('part','search-overlay');
+      const panel = D.createElement('div'); panel.className='cc-search-panel'; panel.setAttribute('part','search-panel');
       const inputRow = D.createElement('div'); inputRow.className='cc-search-input-row';
       const inputLogoWrap = D.createElement('span'); inputLogoWrap.className='cc-search-input-logo-wrap';
       const inputLogoImg = D.createElement('img'); inputLogoImg.className='cc-search-input-logo'; inputLogoImg.alt='Credibility Compass';
-      // Search bar logo: always use light-bg symbol so it stays clean on white
-      try{
-        const src = cfg.search.logoLight || cfg.search.logoDark;
-        if (src) inputLogoImg.src = src;
-      }catch{}
+      themedLogo(inputLogoImg, cfg.search.logoLight, cfg.search.logoDark);
       inputLogoWrap.appendChild(inputLogoImg);
 
-      input = D.createElement('input'); input.className='cc-search-input'; input.placeholder = cfg.search.placeholder;
+      input = D.createElement('input'); input.className='cc-search-input'; input.setAttribute('part','search-input'); input.placeholder = cfg.search.placeholder;
       inputRow.appendChild(inputLogoWrap);
       inputRow.appendChild(input);
-      list = D.createElement('div'); list.className='cc-search-list';
-      panel.appendChild(inputRow); panel.appendChild(list); overlay.appendChild(panel); D.body.appendChild(overlay);
+      facetBar = D.createElement('div'); facetBar.className='cc-search-facets'; facetBar.setAttribute('role','toolbar'); facetBar.setAttribute('aria-label','Filter results');
+      list = D.createElement('div'); list.className='cc-search-list'; list.setAttribute('part','search-list');
+      panel.appendChild(inputRow); panel.appendChild(facetBar); panel.appendChild(list); overlay.appendChild(panel); mountUi(overlay);
       input.focus();
+      renderSuggestions();
       trackSearchUI('open');
+      emit('search:open', { query: q || null });
       overlay.addEventListener('click', (e)=>{ if (e.target===overlay) close() }); // click outside to close
       input.addEventListener('input', onInput);                                     // fetch on input
+      list.addEventListener('scroll', onListScroll, { passive:true });              // infinite scroll
       D.addEventListener('keydown', onKey);                                         // list nav keys
+      if (q){ input.value = q; onInput() }
     }
     function close(){
       if (!overlay) return;
-      overlay.remove(); overlay=null;
+      cancelSearch();
+      if (currentQ && results.length) rememberQuery(currentQ);
+      overlay.remove(); overlay=null; facetBar=null;
       D.removeEventListener('keydown', onKey);
-      idx=-1; items=[];
+      idx=-1; items=[]; results=[]; hasMore=false;
       trackSearchUI('close');
+      emit('search:close', {});
     }
     function onKey(e){
       if (!overlay) return;
       if (e.key==='Escape'){ e.preventDefault(); close(); return }
       if (!items.length) return;
-      if (e.key==='ArrowDown'){ idx = (idx+1)%items.length; renderList(); e.preventDefault() }
-      if (e.key==='ArrowUp'){ idx = (idx-1+items.length)%items.length; renderList(); e.preventDefault() }
+      if (e.key==='ArrowDown' && idx === items.length-1 && hasMore){ e.preventDefault(); loadMore(true); return }
+      if (e.key==='ArrowDown'){ idx = (idx+1)%items.length; renderList({ keepScroll:true, reveal:true }); e.preventDefault() }
+      if (e.key==='ArrowUp'){ idx = (idx-1+items.length)%items.length; renderList({ keepScroll:true, reveal:true }); e.preventDefault() }
       if (e.key==='Enter' && idx>=0){ const it=items[idx]; selectItem(it) }
     }
 
+    function cancelSearch(){
+      searchSeq++;
+      pageLoading = false;
+      if (searchAbort){ try { searchAbort.abort() } catch {} searchAbort = null }
+    }
+    // Fetch one page. The backend may page by cursor (`nextCursor`) or offset (`hasMore`/`total`).
+    async function fetchPage(q, more){
+      cancelSearch();
+      const seq = searchSeq;
+      searchAbort = typeof AbortController === 'function' ? new AbortController() : null;
+      const params = new URLSearchParams(); params.append('q', q); params.append('siteId', cfg.siteId);
+      params.append('limit', String(pageSize()));
+      if (more && nextCursor) params.append('cursor', nextCursor);
+      else if (more) params.append('offset', String(nextOffset));
+      pageLoading = true;
+      if (more) renderList({ keepScroll:true });
+      try {
+        const res = await fetch(`${cfg.search.endpoint}?${params.toString()}`, { credentials:'omit', signal: searchAbort ? searchAbort.signal : undefined });
+        const json = await res.json();
+        if (seq !== searchSeq || q !== currentQ) return false; // superseded by a newer request
+        const rows = Array.isArray(json.results) ? json.results : json.data || [];
+        const page = rows.map((it)=> Object.assign({}, it, { _group: searchResultGroup(it) }));
+        results = (more ? results.concat(page) : page).slice(0, MAX_RESULTS);
+        nextOffset = (more ? nextOffset : 0) + rows.length;
+        nextCursor = String(json.nextCursor || json.next_cursor || json.cursor?.next || '');
+        hasMore = cfg.search.paging !== 'off' && results.length < MAX_RESULTS && rows.length > 0 && (json.hasMore === false ? false
+          : !!nextCursor || json.hasMore === true || (typeof json.total === 'number' && nextOffset < json.total));
+        pageNo = more ? pageNo + 1 : 1;
+        if (!more) cachePut(q, { rows, nextCursor, nextOffset, hasMore });
+        return true;
+      } catch (err) {
+        if (err?.name === 'AbortError' || seq !== searchSeq) return false;
+        if (!more){ results=[]; items=[]; idx=-1; hasMore=false }
+        throw err;
+      } finally {
+        if (seq === searchSeq){ pageLoading = false; searchAbort = null }
+      }
+    }
+
     // Debounced network calls on input
     let debounce=0;
     function onInput(){
       const q = input.value.trim();
       currentQ = q;
       window.clearTimeout(debounce);
+      cancelSearch();
+      if (!q){ results=[]; items=[]; idx=-1; hasMore=false; renderFacets(); renderSuggestions(); return }
+      const cached = cacheGet(q);
+      if (cached){ applyResults(q, cached); return }  // rendered locally without the debounce
       debounce = window.setTimeout(async ()=>{
-        if (!q){ list.innerHTML='<div class="cc-search-empty">Type to search…</div>'; items=[]; idx=-1; return }
-        const params = new URLSearchParams(); params.append('q', q); params.append('siteId', cfg.siteId);
         try {
-          const res = await fetch(`${cfg.search.endpoint}?${params.toString()}`, { credentials:'omit' });
-          const json = await res.json();
-          const rows = Array.isArray(json.results) ? json.results : json.data || [];
-          items = rows.slice(0, 50);
-          idx = items.length ? 0 : -1;
-          renderList();
-          trackSearchQuery(q, items.length);
+          if (!await fetchPage(q, false)) return;
+          if (activeFacet && !results.some((it)=> it._group.key === activeFacet)) activeFacet = '';
+          applyFacet();
+          trackSearchQuery(q, results.length, false);
         } catch {
-          list.innerHTML = '<div class="cc-search-empty">Search unavailable.</div>'; items=[]; idx=-1;
+          list.innerHTML = '<div class="cc-search-empty">Search unavailable.</div>'; renderFacets();
         }
       }, 150);
     }
+    function applyResults(q, cached){
+      results = (cached.rows || []).map((it)=> Object.assign({}, it, { _group: searchResultGroup(it) }));
+      nextCursor = cached.nextCursor || '';
+      nextOffset = cached.nextOffset || results.length;
+      hasMore = !!cached.hasMore;
+      pageNo = 1;
+      if (activeFacet && !results.some((it)=> it._group.key === activeFacet)) activeFacet = '';
+      applyFacet();
+      // Tracked once typing settles, like network results, not on every cached keystroke
+      debounce = window.setTimeout(()=> trackSearchQuery(q, results.length, true), 150);
+    }
+    // Empty query: recent searches, recently opened results and popular searches (all keyboard-navigable)
+    function renderSuggestions(){
+      if (!list) return;
+      const h = readHistory();
+      const popular = (Array.isArray(cfg.search.popular) ? cfg.search.popular : [])
+        .filter((p)=> !h.queries.some((x)=> cacheKey(x) === cacheKey(p)));
+      items = [].concat(
+        h.queries.map((q)=> ({ _suggest:'recent', q, title:q, _group:{ key:'recent', label:'Recent searches', kind:'page' } })),
+        h.selections.map((sel)=> Object.assign({ _suggest:'viewed', _group:{ key:'viewed', label:'Recently viewed', kind: sel.type || 'page' } }, sel)),
+        popular.map((q)=> ({ _suggest:'popular', q, title:q, _group:{ key:'popular', label:'Popular searches', kind:'page' } }))
+      );
+      idx = -1;
+      if (!items.length){ list.innerHTML='<div class="cc-search-empty">Type to search…</div>'; return }
+      renderList();
+    }
+    async function loadMore(advance){
+      if (!hasMore || pageLoading || !currentQ) return;
+      const q = currentQ;
+      try {
+        if (!await fetchPage(q, true)) return;
+        applyFacet(true);
+        if (advance && idx < items.length-1){ idx++; renderList({ keepScroll:true, reveal:true }) }
+        enqueue('search_page', { q, page: pageNo, total: results.length, filter: activeFacet || null });
+      } catch {
+        hasMore = false;
+        renderList({ keepScroll:true });
+      }
+    }
+    function onListScroll(){
+      if (cfg.search.paging !== 'infinite' || !list || !hasMore || pageLoading) return;
+      if (list.scrollTop + list.clientHeight >= list.scrollHeight - 80) loadMore(false);
+    }
 
-    // Render results with highlighting + accent color
-    function renderList(){
+    // Groups in order of first appearance (i.e. by best-ranked hit)
+    function groupResults(rows){
+      const groups = [];
+      const byKey = {};
+      rows.forEach((it)=>{
+        const g = it._group;
+        if (!byKey[g.key]){ byKey[g.key] = Object.assign({ rows: [] }, g); groups.push(byKey[g.key]) }
+        byKey[g.key].rows.push(it);
+      });
+      return groups;
+    }
+    // Filter + regroup locally; facet changes never refetch
+    function applyFacet(keepSelection){
+      const selected = keepSelection ? items[idx] : null;
+      const visible = activeFacet ? results.filter((it)=> it._group.key === activeFacet) : results;
+      items = groupResults(visible).reduce((out, g)=> out.concat(g.rows), []);
+      // After the hits, so Enter on the default selection still opens the top result
+      if (shouldOfferAsk()) items.push(askItem());
+      idx = selected && items.includes(selected) ? items.indexOf(selected) : (items.length ? 0 : -1);
+      renderFacets();
+      renderList({ keepScroll: !!keepSelection });
+    }
+    // "Ask AI" row: offered when the search came back empty or weak
+    function shouldOfferAsk(){
+      if (!currentQ || !handoff || !handoff.available()) return false;
+      if (results.length < cfg.search.askMinResults) return true;
+      const top = Number(results[0]?.score);
+      return Number.isFinite(top) && top < cfg.search.askMinScore;
+    }
+    // One row per query, so applyFacet(true) can find the selected Ask row again after loadMore
+    let askRow = null;
+    function askItem(){
+      const title = `Ask ${cfg.chat?.name || COMPASS_AI_NAME} about “${currentQ}”`;
+      if (!askRow || askRow.q !== currentQ || askRow.title !== title){
+        askRow = { _ask: true, q: currentQ, title, _group: { key:'ask', label:'', kind:'ai' } };
+      }
+      return askRow;
+    }
+    function askAi(q){
+      const hits = results.slice(0, 3).map((it)=> ({
+        title: it.title || it.name || '',
+        url: it.canonicalUrl || it.url || it.href || it.path || '',
+        snippet: String(it.snippet || '').slice(0, 300),
+        type: it._group?.key || null,
+      }));
+      enqueue('search_ask_ai', { q, total: results.length, hits: hits.length, filter: activeFacet || null });
+      rememberQuery(q);
+      currentQ = '';
+      close();
+      handoff.ask(q, hits);
+    }
+    function setFacet(key){
+      activeFacet = activeFacet === key ? '' : key;
+      applyFacet();
+      enqueue('search_filter', { q: currentQ, filter: activeFacet || null, total: items.length });
+      if (input) input.focus();
+    }
+    function renderFacets(){
+      if (!facetBar) return;
+      facetBar.innerHTML = '';
+      const groups = groupResults(results);
+      if (groups.length < 2) return;
+      const chip = (key, label, count, kind)=>{
+        const btn = D.createElement('button');
+        btn.type = 'button';
+        btn.className = 'cc-search-facet';
+        btn.setAttribute('part', 'search-facet');
+        btn.setAttribute('aria-pressed', String(activeFacet === key));
+        if (kind) btn.setAttribute('data-kind', kind);
+        btn.appendChild(D.createTextNode(label));
+        btn.appendChild(Object.assign(D.createElement('span'), { className:'cc-search-facet-count', textContent: String(count) }));
+        btn.addEventListener('click', ()=> setFacet(key));
+        facetBar.appendChild(btn);
+      };
+      chip('', 'All', results.length, '');
+      groups.forEach((g)=> chip(g.key, g.label, g.rows.length, g.kind));
+    }
+
+    // Render results with highlighting + accent color.
+    // `keepScroll` preserves the scroll position across the rebuild (paging, arrow keys);
+    // `reveal` scrolls the selected row into view and is only for keyboard navigation.
+    function renderList(opts){
       if (!list) return;
+      const scrollTop = opts?.keepScroll ? list.scrollTop : 0;
       if (!items.length){ list.innerHTML='<div class="cc-search-empty">No results</div>'; return }
       list.innerHTML='';
+      const suggesting = !!items[0]._suggest;
+      const showHeaders = suggesting || groupResults(items.filter((it)=> !it._ask)).length > 1;
+      if (!results.length && !suggesting) list.appendChild(Object.assign(D.createElement('div'), { className:'cc-search-empty', textContent:'No results' }));
+      let lastGroup = null;
       items.forEach((it, i)=>{
-        const div = D.createElement('div'); div.className='cc-search-item'; div.setAttribute('role','option');
+        if (showHeaders && !it._ask && it._group.key !== lastGroup){
+          lastGroup = it._group.key;
+          const head = D.createElement('div'); head.className='cc-search-group'; head.setAttribute('role','presentation');
+          head.textContent = it._group.label;
+          list.appendChild(head);
+        }
+        const div = D.createElement('div'); div.className='cc-search-item'; div.setAttribute('part','search-result'); div.setAttribute('role','option');
         div.setAttribute('aria-selected', String(i===idx));
 
+        if (it._ask){
+          div.classList.add('cc-search-ask');
+          div.innerHTML = `
+            <div class="cc-search-item-row">
+              <span class="cc-search-icon" data-kind="ai" aria-hidden="true">AI</span>
+              <div class="cc-search-item-body"><div class="cc-title">${escapeHTML(it.title)}</div></div>
+            </div>
+          `;
+          div.addEventListener('click', ()=> selectItem(it));
+          list.appendChild(div);
+          return;
+        }
+        if (it._suggest){
+          const glyph = it._suggest === 'viewed' ? sourceGlyph(searchResultGroup(it).kind) : (it._suggest === 'popular' ? '★' : '↺');
+          div.innerHTML = `
+            <div class="cc-search-item-row">
+              <span class="cc-search-icon" data-kind="${it._suggest === 'viewed' ? escapeHTML(searchResultGroup(it).kind) : 'page'}" aria-hidden="true">${escapeHTML(glyph)}</span>
+              <div class="cc-search-item-body"><div class="cc-title">${escapeHTML(it.title)}</div></div>
+            </div>
+          `;
+          div.addEventListener('click', ()=> selectItem(it));
+          list.appendChild(div);
+          return;
+        }
         const navUrl  = it.canonicalUrl || it.url || it.href || it.path || '';
         const title   = it.title || it.name || 'Untitled';
         const snippet = it.snippet || it.url || '';
 
         div.innerHTML = `
-          <div class="cc-title" style="font-weight:600; color:${escapeHTML(cfg.search.accent)}">
-            ${highlightHTML(title, currentQ)}
+          <div class="cc-search-item-row">
+            <span class="cc-search-icon" data-kind="${escapeHTML(it._group.kind)}" aria-hidden="true">${escapeHTML(sourceGlyph(it._group.kind))}</span>
+            <div class="cc-search-item-body">
+              <div class="cc-title">
+                ${highlightHTML(title, currentQ)}
+              </div>
+              <div class="cc-sub">
+                ${highlightHTML(snippet, currentQ)}
+              </div>
+              ${navUrl ? `<div class="cc-url">${escapeHTML(navUrl)}</div>` : ''}
+            </div>
           </div>
-          <div class="cc-sub" style="font-size:12px;color:#6b7280;white-space:nowrap;overflow:hidden;text-overflow:ellipsis">
-            ${highlightHTML(snippet, currentQ)}
-          </div>
-          ${navUrl ? `<div class="cc-url" style="font-size:11px;color:#9ca3af;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;margin-top:2px">${escapeHTML(navUrl)}</div>` : ''}
         `;
         div.addEventListener('click', ()=> selectItem(it));
         list.appendChild(div);
       });
+      if (suggesting){
+        if (items.some((it)=> it._suggest !== 'popular')){
+          const clear = D.createElement('button');
+          clear.type = 'button';
+          clear.className = 'cc-search-more';
+          clear.textContent = 'Clear search history';
+          clear.addEventListener('click', clearHistory);
+          list.appendChild(clear);
+        }
+      } else if (pageLoading){
+        list.appendChild(Object.assign(D.createElement('div'), { className:'cc-search-empty', textContent:'Loading more…' }));
+      } else if (hasMore && cfg.search.paging !== 'off'){
+        const more = D.createElement('button');
+        more.type = 'button';
+        more.className = 'cc-search-more';
+        more.textContent = 'Load more results';
+        more.addEventListener('click', ()=> loadMore(false));
+        list.appendChild(more);
+      }
+      list.scrollTop = scrollTop;
+      if (opts?.reveal){
+        const row = list.querySelectorAll('.cc-search-item')[idx];
+        if (row && typeof row.scrollIntoView === 'function') row.scrollIntoView({ block:'nearest' });
+      }
     }
 
     // Navigate to selected item
     function selectItem(it){
+      if (it._ask){ askAi(it.q); return }
+      if (it._suggest === 'recent' || it._suggest === 'popular'){
+        enqueue('search_suggestion_select', { source: it._suggest, q: it.q });
+        if (input){ input.value = it.q; onInput(); input.focus() }
+        return;
+      }
       const url = it.canonicalUrl || it.url || it.href || it.path;
       trackSearchSelect(it);
-      if (url){ close(); W.location.href = url }
+      if (url){
+        if (!it._suggest){ rememberQuery(currentQ); rememberSelection(it, url) }
+        currentQ = '';
+        close();
+        W.location.href = url;
+      }
     }
 
-    // Global hotkey (kept as your working version)
-    D.addEventListener('keydown', (e)=>{
-      const k = (e.ctrlKey || e.metaKey) && e.key?.toLowerCase() === 'k';
-      if (k){ e.preventDefault(); open() }
-    });
-
     // Search usage telemetry
     function trackSearchUI(action){ enqueue('search_ui', { action }) }
-    function trackSearchQuery(q, total){ enqueue('search_query', { q, total }) }
-    function trackSearchSelect(it){ enqueue('search_select', { id: it.id || null, title: it.title || it.name || null, url: it.url || it.href || null }) }
-    return { open, close };
+    function trackSearchQuery(q, total, cached){ enqueue('search_query', { q, total, filter: activeFacet || null, cached: !!cached }) }
+    function trackSearchSelect(it){
+      const detail = { id: it.id || null, title: it.title || it.name || null, url: it.url || it.href || null, type: it._group?.key || null, filter: activeFacet || null };
+      enqueue('search_select', detail);
+      emit('search:select', Object.assign({ query: currentQ || it.q || null, canonicalUrl: it.canonicalUrl || null }, detail));
+    }
+    // Re-read config into the open panel (CC.embed.update)
+    function refresh(){ if (input) input.placeholder = cfg.search.placeholder }
+    return { open, close, refresh };
   }
 
   function createChat(){
@@ -796,12 +2445,23 @@
     injectStyle();
 
     let overlay = null, body = null, input = null, sendBtn = null, loading = false;
+    let requestAbort = null;
     let pendingLeadCapture = null;
+    let queuedAsk = null;  // question passed to ask() while an answer was loading
+    let conversation = null;
+    let quote = '', quoteBar = null;
     let emailFocusTimer = 0;
     let lastDownloadUrl = '';
     let lastDownloadAt = 0;
     const CLAIM_ENDPOINT = derive('chat/lead-magnets/claim');
-    const DEFAULT_CHAT_PLACEHOLDER = cfg.chat.placeholder || 'Ask about this website…';
+    const FEEDBACK_ENDPOINT = derive('chat/feedback');
+    const HANDOFF_ENDPOINT = derive('chat/handoff');
+    // Transcript persists across pages for the lifetime of the visitor session
+    // (only with 'chat' consent; otherwise it lasts until the page unloads)
+    const MAX_STORED_TURNS = 40;
+    const MAX_HISTORY_TURNS = 10;
+    const defaultPlaceholder = ()=> cfg.chat.placeholder || 'Ask about this website…';
+    const FALLBACK_ANSWER = 'I could not find a reliable answer from this website content.';
     const delay = (ms)=> new Promise((resolve)=> setTimeout(resolve, Math.max(0, Number(ms || 0))));
     const minSpinnerMs = ()=> {
       const raw = Number(cfg.chat?.minSpinnerMs || 5000);
@@ -812,8 +2472,39 @@
       if (!raw) return '';
       try { return new URL(raw, L.href).toString() } catch { return String(raw) }
     }
-    function isValidEmail(email){
-      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || '').trim());
+    function loadConversation(){
+      const sid = getSessionId();
+      const saved = hasConsent('chat') ? ls.get(CHAT_KEY) : null;
+      if (saved && saved.sid === sid && Array.isArray(saved.turns)){
+        return { id: String(saved.id || uuid()), sid, turns: saved.turns };
+      }
+      return { id: uuid(), sid, turns: [] };
+    }
+    function saveConversation(){
+      if (!conversation) return;
+      conversation.turns = conversation.turns.slice(-MAX_STORED_TURNS);
+      if (!hasConsent('chat')) return;
+      ls.set(CHAT_KEY, { id: conversation.id, sid: conversation.sid, turns: conversation.turns });
+    }
+    // Returns the stored assistant turn, which also carries the visitor's feedback
+    // `meta`: { conversationId, responseId, followUps, quote }
+    function recordExchange(query, answer, citations, meta){
+      if (!conversation) conversation = loadConversation();
+      if (meta?.conversationId) conversation.id = String(meta.conversationId);
+      const ts = now();
+      const ask = { role: 'user', text: String(query || ''), ts };
+      if (meta?.quote) ask.quote = meta.quote;
+      const turn = { role: 'assistant', text: String(answer || ''), citations: (citations || []).slice(0, 5), ts };
+      if (meta?.responseId) turn.responseId = String(meta.responseId);
+      if (meta?.followUps?.length) turn.followUps = meta.followUps;
+      conversation.turns.push(ask);
+      conversation.turns.push(turn);
+      saveConversation();
+      return turn;
+    }
+    function historyForRequest(){
+      if (!conversation || !hasConsent('chat')) return [];
+      return conversation.turns.slice(-MAX_HISTORY_TURNS).map((t)=> ({ role: t.role, content: t.text }));
     }
     function parseLeadMagnetId(c, href){
       const direct = String(c?.leadMagnetId || '').trim();
@@ -918,6 +2609,7 @@
             json?.message || 'Thanks for downloading the resource. We have sent you an email with the file download link for your reference, along with a free account activation link.'
           );
           enqueue('chat_download_pending_activation', { leadMagnetId, emailDomain: email.split('@')[1] || null });
+          identifyLead(email, 'chat_lead_capture');
           if (!hasDownloadUrl) return null;
         }
         if ((res.status === 202 && json?.error === 'session_expired') || json?.data?.sessionExpired){
@@ -940,27 +2632,13 @@
           return null;
         }
         enqueue('chat_download_claim', { leadMagnetId, emailDomain: email.split('@')[1] || null });
+        if (!pendingActivation) identifyLead(email, 'chat_lead_capture');
         return json.data.downloadUrl;
       }catch{
         appendMessage('ai', 'Could not start the download right now. Please try again.');
         return null;
       }
     }
-    function classifyCitation(c){
-      const kind = String(c?.sourceKind || '').toLowerCase();
-      if (kind === 'blog' || kind === 'download' || kind === 'page') return kind;
-      const sourceType = String(c?.sourceType || '').toLowerCase();
-      if (sourceType.includes('blog')) return 'blog';
-      const url = String(c?.url || c?.canonicalUrl || '').toLowerCase();
-      if (/\/blog(s)?\//.test(url)) return 'blog';
-      if (/\/lead-magnets\//.test(url) || /\.(pdf|ppt|pptx|doc|docx|xls|xlsx|zip)(\?|$)/.test(url)) return 'download';
-      return 'page';
-    }
-    function sourceGlyph(kind){
-      if (kind === 'blog') return 'B';
-      if (kind === 'download') return 'DL';
-      return 'P';
-    }
     function isPdfCitation(c, href, kind){
       if (kind !== 'download') return false;
       const lmType = String(c?.leadMagnetType || '').toLowerCase();
@@ -1069,6 +2747,18 @@
         ctaBtn.addEventListener('click', ()=> openCitationInNewTab(c, href, kind));
       }
       actions.appendChild(ctaBtn);
+      if (href && kind !== 'download'){
+        const copyBtn = D.createElement('button');
+        copyBtn.type = 'button';
+        copyBtn.className = 'cc-chat-source-cta';
+        copyBtn.setAttribute('data-variant', 'secondary');
+        copyBtn.textContent = 'Copy link';
+        copyBtn.addEventListener('click', ()=>{
+          enqueue('chat_copy', { kind: 'source_link', title: c?.title || null, url: href });
+          copyWithStatus(href, copyBtn, 'Link copied');
+        });
+        actions.appendChild(copyBtn);
+      }
       bodyWrap.appendChild(actions);
 
       if (href && kind !== 'download'){
@@ -1083,13 +2773,478 @@
       return card;
     }
 
+    function appendSources(wrap, citations){
+      if (!wrap || !Array.isArray(citations) || !citations.length) return;
+      const src = D.createElement('div');
+      src.className = 'cc-chat-sources';
+      const label = D.createElement('div');
+      label.className = 'cc-chat-sources-title';
+      label.textContent = 'Sources';
+      src.appendChild(label);
+      citations.slice(0, 5).forEach((c, i)=>{
+        const card = renderCitation(c);
+        card.setAttribute('data-cite', String(i + 1));
+        src.appendChild(card);
+      });
+      wrap.appendChild(src);
+    }
+
+    // AI text as markdown; `[n]` markers jump to (and flash) the n-th source card of the same message
+    function renderAnswer(textNode, text, citations){
+      const shown = Array.isArray(citations) ? citations.slice(0, 5) : [];
+      let flash = null;
+      renderMarkdown(textNode, text, {
+        cite: (n)=>{
+          if (!(n >= 1 && n <= shown.length)) return null;
+          const btn = D.createElement('button');
+          btn.type = 'button';
+          btn.className = 'cc-chat-cite';
+          btn.textContent = String(n);
+          btn.setAttribute('aria-label', `Source ${n}: ${shown[n - 1]?.title || normalizeCitationUrl(shown[n - 1]) || 'Source'}`);
+          btn.addEventListener('click', ()=>{
+            const card = textNode.parentNode?.querySelector(`.cc-chat-source-card[data-cite="${n}"]`);
+            if (!card) return;
+            enqueue('chat_citation_marker_click', { index: n, title: shown[n - 1]?.title || null });
+            try { card.scrollIntoView({ block:'nearest', behavior:'smooth' }) } catch {}
+            if (flash){ clearTimeout(flash.timer); flash.card.classList.remove('is-highlighted') }
+            card.classList.add('is-highlighted');
+            flash = { card, timer: setTimeout(()=>{ card.classList.remove('is-highlighted'); flash = null }, 1600) };
+          });
+          return btn;
+        },
+        onLink: (href)=> enqueue('chat_link_click', { url: href }),
+      });
+    }
+    // Streamed answer: finished blocks are rendered once and kept (a visitor's selection in them
+    // survives); only the open tail is re-rendered, at most once per animation frame
+    function streamRenderer(textNode){
+      const raf = W.requestAnimationFrame ? (fn)=> W.requestAnimationFrame(fn) : (fn)=> W.setTimeout(fn, 16);
+      const cancel = W.cancelAnimationFrame ? (id)=> W.cancelAnimationFrame(id) : (id)=> W.clearTimeout(id);
+      let text = '', doneLen = 0, tail = [], frame = 0, started = false;
+      function append(src){
+        const tmp = D.createElement('div');
+        renderAnswer(tmp, src, null);
+        const nodes = Array.from(tmp.childNodes);
+        nodes.forEach((n)=> textNode.appendChild(n));
+        return nodes;
+      }
+      function paint(){
+        frame = 0;
+        if (!started){ textNode.textContent = ''; started = true }
+        tail.forEach((n)=> n.remove());
+        const cut = stableMarkdownEnd(text, doneLen);
+        if (cut > doneLen){ append(text.slice(doneLen, cut)); doneLen = cut }
+        tail = append(text.slice(doneLen));
+        if (body) body.scrollTop = body.scrollHeight;
+      }
+      return {
+        push(delta){ text += delta; if (!frame) frame = raf(paint) },
+        stop(){ if (frame) cancel(frame); frame = 0 },
+      };
+    }
+
+    // --- Quoted page text ----------------------------------------------------------
+    function setQuote(text){
+      quote = String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_QUOTE_CHARS);
+      if (!quoteBar) return;
+      quoteBar.textContent = '';
+      quoteBar.hidden = !quote;
+      if (input && !pendingLeadCapture) input.placeholder = quote ? 'Ask about the selected text…' : defaultPlaceholder();
+      if (!quote) return;
+      appendText(quoteBar, 'span', 'cc-chat-quote-text', `“${quote}”`);
+      const remove = appendText(quoteBar, 'button', 'cc-chat-quote-remove', '×');
+      remove.type = 'button';
+      remove.setAttribute('aria-label', 'Remove quoted text');
+      remove.addEventListener('click', ()=>{ setQuote(''); if (input && !input.disabled) input.focus() });
+    }
+    function appendQuote(wrap, text){
+      if (!wrap || !text) return;
+      const q = D.createElement('div');
+      q.className = 'cc-chat-msg-quote';
+      q.textContent = `“${text}”`;
+      wrap.insertBefore(q, wrap.firstChild);
+    }
+
+    // Floating "Ask … about this" button next to text selected on the page
+    let selectionBtn = null, selectionText = '', selectionTimer = 0;
+    function hideSelectionButton(){
+      if (selectionBtn) selectionBtn.hidden = true;
+      selectionText = '';
+    }
+    function placeSelectionButton(){
+      if (destroyed) return;
+      const picked = !overlay && cfg.chat.selectionButton ? pageSelection() : null;
+      const rect = picked?.rect;
+      if (!rect || (!rect.width && !rect.height)) return hideSelectionButton();
+      if (!selectionBtn){
+        selectionBtn = D.createElement('button');
+        selectionBtn.type = 'button';
+        selectionBtn.className = 'cc-chat-selection-btn';
+        selectionBtn.setAttribute('part', 'chat-selection-button');
+        selectionBtn.textContent = `Ask ${cfg.chat.name || COMPASS_AI_NAME} about this`;
+        // Keep the page selection alive while the button is pressed
+        selectionBtn.addEventListener('mousedown', (e)=> e.preventDefault());
+        selectionBtn.addEventListener('click', ()=>{
+          const text = selectionText;
+          hideSelectionButton();
+          if (!text) return;
+          enqueue('chat_selection_ask', { length: text.length });
+          open({ quote: text });
+        });
+        mountUi(selectionBtn);
+      }
+      selectionText = picked.text;
+      selectionBtn.hidden = false;
+      const w = selectionBtn.offsetWidth || 200;
+      const h = selectionBtn.offsetHeight || 32;
+      const below = rect.bottom + 8 + h <= W.innerHeight;
+      selectionBtn.style.top = `${Math.round(below ? rect.bottom + 8 : Math.max(8, rect.top - h - 8))}px`;
+      selectionBtn.style.left = `${Math.round(clamp(rect.left + rect.width / 2 - w / 2, 8, Math.max(8, W.innerWidth - w - 8)))}px`;
+    }
+    const schedulePlaceSelection = ()=>{ clearTimeout(selectionTimer); selectionTimer = setTimeout(placeSelectionButton, 200) };
+    listen(D, 'selectionchange', schedulePlaceSelection);
+    listen(W, 'scroll', ()=>{ if (selectionText){ hideSelectionButton(); schedulePlaceSelection() } }, { capture:true, passive:true });
+    listen(D, 'keydown', (e)=>{ if (e.key === 'Escape' && selectionText) hideSelectionButton() });
+    onCleanup(()=>{ clearTimeout(selectionTimer); selectionBtn = null; selectionText = '' });
+
+    // --- Suggestion chips: starter prompts + follow-ups -------------------------------
+    const suggestionText = (x)=> String((x && typeof x === 'object') ? (x.q || x.query || x.text || x.prompt || '') : (x || '')).trim();
+    function suggestionList(raw, max){
+      const seen = new Set();
+      return (Array.isArray(raw) ? raw : []).map(suggestionText).filter((q)=>{
+        const key = q.toLowerCase();
+        if (!q || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      }).slice(0, max);
+    }
+    // Prompts scoped to the current path come first, then the site-wide ones
+    function startersForPage(){
+      const path = L.pathname || '/';
+      const items = Array.isArray(cfg.chat.starters) ? cfg.chat.starters : [];
+      const scoped = (x)=> x && typeof x === 'object' && (x.path || x.paths);
+      const matching = items.filter((x)=> scoped(x) && [].concat(x.path || x.paths).some((p)=> pathMatches(p, path)));
+      return suggestionList(matching.concat(items.filter((x)=> !scoped(x))), 4);
+    }
+    function appendSuggestions(wrap, items, kind){
+      const list = suggestionList(items, 4);
+      if (!wrap || !list.length) return;
+      const chips = D.createElement('div');
+      chips.className = 'cc-chat-suggestions';
+      chips.setAttribute('part', 'chat-suggestions');
+      chips.setAttribute('data-kind', kind);
+      list.forEach((q)=>{
+        const chip = appendText(chips, 'button', 'cc-chat-suggestion', q);
+        chip.type = 'button';
+        chip.addEventListener('click', ()=> submitSuggestion(q, kind));
+      });
+      wrap.appendChild(chips);
+    }
+    function submitSuggestion(q, kind){
+      if (!input || loading) return;
+      if (pendingLeadCapture){
+        pendingLeadCapture = null;
+        input.placeholder = defaultPlaceholder();
+        input.classList.remove('cc-chat-input-email-focus');
+      }
+      enqueue('chat_suggestion_click', { q, kind });
+      input.value = q;
+      sendQuery({ source: kind });
+    }
+
+    // --- Answer tools: copy + feedback ------------------------------------------
+    // Votes post to FEEDBACK_ENDPOINT right away; an optional reason/comment follow-up
+    // re-posts with the same feedbackId so the backend can upsert.
+    const FEEDBACK_REASONS = {
+      up: ['Accurate', 'Easy to understand', 'Useful sources'],
+      down: ['Incorrect', 'Not relevant', 'Missing sources', 'Too vague'],
+    };
+    const TOOL_ICONS = {
+      copy: '<svg viewBox="0 0 24 24" aria-hidden="true"><rect x="9" y="9" width="12" height="12" rx="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>',
+      up: '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M7 10v12"></path><path d="M15 5.9 14 10h5.8a2 2 0 0 1 1.9 2.6l-2.3 7A2 2 0 0 1 17.5 21H4a2 2 0 0 1-2-2v-7a2 2 0 0 1 2-2h2.8a2 2 0 0 0 1.8-1.1L12 2a3.1 3.1 0 0 1 3 3.9Z"></path></svg>',
+      down: '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M17 14V2"></path><path d="M9 18.1 10 14H4.2a2 2 0 0 1-1.9-2.6l2.3-7A2 2 0 0 1 6.5 3H20a2 2 0 0 1 2 2v7a2 2 0 0 1-2 2h-2.8a2 2 0 0 0-1.8 1.1L12 22a3.1 3.1 0 0 1-3-3.9Z"></path></svg>',
+    };
+    function copyWithStatus(text, btn, doneLabel){
+      copyText(text).then((ok)=>{
+        if (!btn || btn.hasAttribute('data-copied')) return;
+        const label = btn.getAttribute('aria-label');
+        const shown = btn.innerHTML;
+        const status = ok ? (doneLabel || 'Copied') : 'Copy failed';
+        btn.setAttribute('data-copied', String(ok));
+        btn.textContent = status;
+        if (label) btn.setAttribute('aria-label', status);
+        setTimeout(()=>{
+          if (!btn.isConnected) return;  // message was re-rendered meanwhile
+          btn.removeAttribute('data-copied');
+          btn.innerHTML = shown;
+          if (label) btn.setAttribute('aria-label', label);
+        }, 1500);
+      });
+    }
+    function sendFeedback(entry, query){
+      const fb = entry.feedback;
+      if (!fb) return;
+      const payload = {
+        feedbackId: fb.id,
+        responseId: entry.responseId || null,
+        conversationId: conversation?.id || null,
+        rating: fb.rating,
+        reasons: fb.reasons || [],
+        hasComment: !!fb.comment,
+      };
+      enqueue('chat_feedback', payload);
+      emit('chat:feedback', Object.assign({ query: query || '', answer: entry.text || '', comment: fb.comment || '' }, payload));
+      if (!FEEDBACK_ENDPOINT) return;
+      try {
+        fetch(FEEDBACK_ENDPOINT, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'omit',
+          keepalive: true,
+          body: JSON.stringify(Object.assign({}, payload, {
+            siteId: cfg.siteId,
+            sessionId: getSessionId(),
+            userId: getUserId() || undefined,
+            comment: fb.comment || undefined,
+            query: query || undefined,
+            // Lets the backend match answers that came without a responseId
+            answer: entry.responseId ? undefined : String(entry.text || '').slice(0, 2000),
+            url: scrubUrl(L.href),
+          })),
+        }).catch(()=>{});
+      } catch {}
+    }
+    // `entry`: { text, responseId, feedback } — usually the stored assistant turn
+    function appendAnswerTools(wrap, entry, query){
+      if (!wrap || !entry) return;
+      const tools = D.createElement('div');
+      tools.className = 'cc-chat-msg-tools';
+      tools.setAttribute('part', 'chat-message-tools');
+      const tool = (kind, label)=>{
+        const btn = D.createElement('button');
+        btn.type = 'button';
+        btn.className = 'cc-chat-tool';
+        btn.setAttribute('data-kind', kind);
+        btn.setAttribute('aria-label', label);
+        btn.title = label;
+        btn.innerHTML = TOOL_ICONS[kind];
+        tools.appendChild(btn);
+        return btn;
+      };
+      const copyBtn = tool('copy', 'Copy answer');
+      const upBtn = tool('up', 'Helpful');
+      const downBtn = tool('down', 'Not helpful');
+      let form = null;
+      const sync = ()=>{
+        upBtn.setAttribute('aria-pressed', String(entry.feedback?.rating === 'up'));
+        downBtn.setAttribute('aria-pressed', String(entry.feedback?.rating === 'down'));
+      };
+      const closeForm = ()=>{ if (form){ form.remove(); form = null } };
+      function openReasons(rating){
+        closeForm();
+        form = D.createElement('div');
+        form.className = 'cc-chat-feedback';
+        form.setAttribute('part', 'chat-feedback');
+        appendText(form, 'div', 'cc-chat-feedback-title', rating === 'up' ? 'What did you like?' : 'What went wrong?');
+        const reasons = D.createElement('div');
+        reasons.className = 'cc-chat-feedback-reasons';
+        const picked = new Set();
+        FEEDBACK_REASONS[rating].forEach((reason)=>{
+          const chip = appendText(reasons, 'button', 'cc-chat-feedback-reason', reason);
+          chip.type = 'button';
+          chip.setAttribute('aria-pressed', 'false');
+          chip.addEventListener('click', ()=>{
+            if (picked.has(reason)) picked.delete(reason); else picked.add(reason);
+            chip.setAttribute('aria-pressed', String(picked.has(reason)));
+          });
+        });
+        form.appendChild(reasons);
+        const comment = D.createElement('textarea');
+        comment.className = 'cc-chat-feedback-comment';
+        comment.rows = 2;
+        comment.maxLength = 1000;
+        comment.placeholder = 'Add a comment (optional)';
+        comment.setAttribute('aria-label', 'Feedback comment');
+        form.appendChild(comment);
+        const actions = D.createElement('div');
+        actions.className = 'cc-chat-feedback-actions';
+        const submit = appendText(actions, 'button', 'cc-chat-msg-action', 'Send feedback');
+        submit.type = 'button';
+        const skip = appendText(actions, 'button', 'cc-chat-feedback-skip', 'Skip');
+        skip.type = 'button';
+        form.appendChild(actions);
+        submit.addEventListener('click', ()=>{
+          const text = comment.value.trim();
+          if (!entry.feedback || (!picked.size && !text)){ closeForm(); return }
+          entry.feedback.reasons = Array.from(picked);
+          entry.feedback.comment = text;
+          saveConversation();
+          sendFeedback(entry, query);
+          form.textContent = '';
+          appendText(form, 'div', 'cc-chat-feedback-title', 'Thanks for the feedback.');
+          const done = form;
+          form = null;
+          setTimeout(()=> done.remove(), 2500);
+        });
+        skip.addEventListener('click', closeForm);
+        tools.after(form);
+        if (body) body.scrollTop = body.scrollHeight;
+      }
+      function vote(rating){
+        if (entry.feedback?.rating === rating) return;
+        entry.feedback = { id: entry.feedback?.id || uuid(), rating, reasons: [], comment: '' };
+        saveConversation();
+        sync();
+        sendFeedback(entry, query);
+        openReasons(rating);
+      }
+      copyBtn.addEventListener('click', ()=>{
+        enqueue('chat_copy', { kind: 'answer', responseId: entry.responseId || null });
+        copyWithStatus(entry.text, copyBtn);
+      });
+      upBtn.addEventListener('click', ()=> vote('up'));
+      downBtn.addEventListener('click', ()=> vote('down'));
+      sync();
+      wrap.appendChild(tools);
+    }
+
+    // --- Human handoff ---------------------------------------------------------------
+    // Inline contact form (campaign field shape via renderFields/readStepFields) that posts the
+    // visitor's details, question and transcript to HANDOFF_ENDPOINT. Shown automatically once per
+    // conversation; after a dismissal later triggers only offer a "Contact us" action.
+    const HANDOFF_DEFAULT_FIELDS = [
+      { id:'name', label:'Name', type:'text', placeholder:'Your name' },
+      { id:'email', label:'Email', type:'email', required:true, placeholder:'you@example.com' },
+      { id:'message', label:'Message', type:'textarea', placeholder:'Anything else we should know?' },
+    ];
+    let handoffWrap = null;
+    let handoffState = '';   // '' | 'dismissed' | 'sent' (per conversation)
+    const handoffLabel = ()=> String(cfg.chat.handoffForm?.label || 'Contact us');
+    function lastQuestion(){
+      const turns = conversation?.turns || [];
+      for (let i = turns.length - 1; i >= 0; i--) if (turns[i].role === 'user') return turns[i].text;
+      return '';
+    }
+    function needsHandoff(answerMeta){
+      if (!cfg.chat.handoff || !HANDOFF_ENDPOINT) return false;
+      if (answerMeta.fallback) return true;
+      const c = answerMeta.confidence;
+      if (typeof c === 'string') return /^(low|none)$/i.test(c.trim());
+      return typeof c === 'number' && Number.isFinite(c) && c < cfg.chat.handoffMinConfidence;
+    }
+    function offerHandoff(reason, question){
+      if (!cfg.chat.handoff || !HANDOFF_ENDPOINT || !body || handoffWrap || handoffState === 'sent') return;
+      if (handoffState === 'dismissed'){
+        appendMessage('ai', 'Want a person from the team to follow up?', [], [
+          { label: handoffLabel(), onClick: ()=> openHandoff('chat_action', question) },
+        ]);
+        return;
+      }
+      openHandoff(reason, question);
+    }
+    function openHandoff(reason, question){
+      if (!body || !HANDOFF_ENDPOINT) return;
+      if (handoffWrap){ handoffWrap.scrollIntoView?.({ block:'nearest' }); return }
+      const form = cfg.chat.handoffForm || {};
+      const email = getUser()?.traits?.email || '';
+      const fields = (Array.isArray(form.fields) && form.fields.length ? form.fields : HANDOFF_DEFAULT_FIELDS)
+        .map((f)=> (email && /e-?mail/i.test(String(f?.id || f?.name || '')) && f?.value == null) ? Object.assign({}, f, { value: email }) : f);
+      const step = { id: 'handoff', fields };
+      const asked = question || lastQuestion();
+
+      const wrap = D.createElement('div');
+      wrap.className = 'cc-chat-msg cc-chat-handoff';
+      wrap.setAttribute('part', 'chat-handoff');
+      wrap.setAttribute('role', 'group');
+      appendText(wrap, 'div', 'cc-chat-handoff-title', form.title || 'Talk to our team');
+      appendText(wrap, 'p', 'cc-chat-handoff-text', form.body || 'Leave your details and we will get back to you by email. Your question and this conversation are included.');
+      const fieldsWrap = D.createElement('div');
+      renderFields(fieldsWrap, step, 'cc-chat-handoff');
+      wrap.appendChild(fieldsWrap);
+      const error = appendText(wrap, 'div', 'cc-chat-handoff-error', '');
+      error.hidden = true;
+      const actions = D.createElement('div');
+      actions.className = 'cc-chat-msg-actions';
+      const submit = appendText(actions, 'button', 'cc-chat-source-cta', form.submitLabel || 'Send');
+      submit.type = 'button';
+      const cancel = appendText(actions, 'button', 'cc-chat-source-cta', 'Not now');
+      cancel.type = 'button';
+      cancel.setAttribute('data-variant', 'secondary');
+      wrap.appendChild(actions);
+
+      const fail = (msg)=>{ error.textContent = msg; error.hidden = false };
+      cancel.addEventListener('click', ()=>{
+        wrap.remove();
+        handoffWrap = null;
+        if (handoffState !== 'sent') handoffState = 'dismissed';
+        enqueue('chat_handoff_dismissed', { reason });
+      });
+      submit.addEventListener('click', async ()=>{
+        const values = readStepFields(step, fieldsWrap);
+        const missing = fields.find((f)=> f?.required === true && !values[String(f.id || f.name || '').trim()]);
+        if (missing) return fail(`Please fill in ${String(missing.label || missing.id || missing.name).toLowerCase()}.`);
+        const contact = emailFromFields(values).toLowerCase();
+        if (!contact) return fail('Please enter a valid email (example: name@company.com).');
+        error.hidden = true;
+        submit.disabled = true;
+        let ok = false;
+        let json = null;
+        // Fields render and read like a campaign step, but this is not a campaign submission:
+        // submitCampaignForm posts to a campaign's /submissions under messages.base (needs a
+        // campaign ID and messaging enabled), while handoffs go to chat/handoff with the transcript
+        try {
+          const res = await fetch(HANDOFF_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'omit',
+            body: JSON.stringify({
+              siteId: cfg.siteId,
+              sessionId: getSessionId(),
+              userId: getUserId() || undefined,
+              conversationId: conversation?.id || null,
+              reason,
+              question: asked || undefined,
+              email: contact,
+              fields: values,
+              transcript: (conversation?.turns || []).map((t)=> ({ role: t.role, text: t.text, ts: t.ts })),
+              page: cfg.chat.pageContext ? pageContext() : undefined,
+            }),
+          });
+          json = await res.json().catch(()=> ({}));
+          ok = res.ok && json?.ok !== false && json?.success !== false;
+        } catch {}
+        submit.disabled = false;
+        if (!ok) return fail(json?.message || 'Could not send your request right now. Please try again.');
+        identifyLead(contact, 'chat_handoff');
+        enqueue('chat_handoff_submitted', { reason, emailDomain: contact.split('@')[1] || null, hasQuestion: !!asked });
+        emit('chat:handoff', { reason, question: asked, email: contact, conversationId: conversation?.id || null });
+        handoffState = 'sent';
+        handoffWrap = null;
+        wrap.remove();
+        appendMessage('ai', json?.message || `Thanks! Our team will get back to you at ${contact}.`);
+      });
+
+      handoffWrap = wrap;
+      body.appendChild(wrap);
+      body.scrollTop = body.scrollHeight;
+      enqueue('chat_handoff_shown', { reason });
+      const first = fieldsWrap.querySelector('input,textarea');
+      if (first && reason === 'chat_head') first.focus();
+    }
+
     function appendMessage(kind, text, citations, actions){
-      if (!body) return;
+      if (!body) return null;
       const wrap = D.createElement('div');
       wrap.className = `cc-chat-msg ${kind === 'user' ? 'cc-chat-msg-user' : 'cc-chat-msg-ai'}`;
+      wrap.setAttribute('part', `chat-message ${kind === 'user' ? 'chat-message-user' : 'chat-message-ai'}`);
       const textNode = D.createElement('div');
       textNode.className = 'cc-chat-text';
-      textNode.textContent = text || '';
+      if (kind === 'ai'){
+        textNode.classList.add('cc-md');
+        renderAnswer(textNode, text, citations);
+      } else {
+        textNode.textContent = text || '';
+      }
       wrap.appendChild(textNode);
       if (kind === 'ai' && Array.isArray(actions) && actions.length){
         const actionWrap = D.createElement('div');
@@ -1105,18 +3260,10 @@
         });
         if (actionWrap.childElementCount) wrap.appendChild(actionWrap);
       }
-      if (kind === 'ai' && Array.isArray(citations) && citations.length){
-        const src = D.createElement('div');
-        src.className = 'cc-chat-sources';
-        const label = D.createElement('div');
-        label.className = 'cc-chat-sources-title';
-        label.textContent = 'Sources';
-        src.appendChild(label);
-        citations.slice(0, 5).forEach((c)=> src.appendChild(renderCitation(c)));
-        wrap.appendChild(src);
-      }
+      if (kind === 'ai') appendSources(wrap, citations);
       body.appendChild(wrap);
       body.scrollTop = body.scrollHeight;
+      return wrap;
     }
     function appendSpinnerMessage(){
       if (!body) return null;
@@ -1142,12 +3289,154 @@
       if (input) input.disabled = loading;
     }
 
-    async function sendQuery(){
+    function dailyLimitMessage(retryAfter){
+      const hours = retryAfter > 0 ? Math.max(1, Math.ceil(retryAfter / 3600)) : null;
+      return hours
+        ? `Daily chat limit reached for this website. Please try again in about ${hours} hour${hours > 1 ? 's' : ''}.`
+        : 'Daily chat limit reached for this website. Please try again tomorrow.';
+    }
+
+    // Streaming responses: SSE (`data: {...}` blocks) or NDJSON (one JSON frame per line).
+    // Non-JSON payloads are treated as raw text deltas; `[DONE]` ends the stream.
+    function isStreamingResponse(res){
+      const type = String(res?.headers?.get?.('content-type') || '').toLowerCase();
+      if (!res?.ok || !res.body || typeof res.body.getReader !== 'function') return '';
+      if (type.includes('text/event-stream')) return 'sse';
+      if (type.includes('ndjson') || type.includes('jsonl')) return 'ndjson';
+      return '';
+    }
+    function parseStreamFrame(raw){
+      const text = String(raw || '');
+      if (text.trim() === '[DONE]') return { type: 'done' };
+      try {
+        const json = JSON.parse(text);
+        return json && typeof json === 'object' ? json : { delta: String(json) };
+      } catch { return { delta: text } }
+    }
+    async function readChatStream(res, mode, onFrame){
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buf = '';
+      const emitSse = (block)=>{
+        let event = '';
+        const data = [];
+        block.split(/\r?\n/).forEach((line)=>{
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+        });
+        if (!data.length) return;
+        const frame = parseStreamFrame(data.join('\n'));
+        if (event && !frame.type) frame.type = event;
+        onFrame(frame);
+      };
+      const drain = (final)=>{
+        const sep = mode === 'sse' ? /\r?\n\r?\n/ : /\r?\n/;
+        const parts = buf.split(sep);
+        buf = final ? '' : parts.pop();
+        parts.forEach((part)=>{
+          if (!part.trim()) return;
+          if (mode === 'sse') emitSse(part);
+          else onFrame(parseStreamFrame(part));
+        });
+      };
+      for (;;){
+        const { value, done } = await reader.read();
+        if (done) break;
+        buf += decoder.decode(value, { stream: true });
+        drain(false);
+      }
+      buf += decoder.decode();
+      drain(true);
+    }
+    async function streamAnswer(res, mode, spinner, query, quoted){
+      let text = '';
+      let wrap = null;
+      let textNode = null;
+      let painter = null;
+      const result = { answer: '', citations: [], confidence: null, conversationId: '', responseId: '', followUps: [], fallback: false, error: '', message: '', retryAfter: 0 };
+      const reveal = ()=>{
+        if (wrap) return;
+        if (spinner) spinner.remove();
+        wrap = appendMessage('ai', '');
+        textNode = wrap ? wrap.querySelector('.cc-chat-text') : null;
+        if (textNode) painter = streamRenderer(textNode);
+      };
+      await readChatStream(res, mode, (frame)=>{
+        const type = String(frame?.type || frame?.event || '').toLowerCase();
+        if (type === 'error' || frame?.error){
+          result.error = String(frame?.error || 'stream_error');
+          result.message = String(frame?.message || '');
+          result.retryAfter = Number(frame?.retryAfter || 0);
+          return;
+        }
+        const delta = frame?.delta ?? frame?.token ?? ((type === 'token' || type === 'delta') ? frame?.text : null);
+        if (typeof delta === 'string' && delta){
+          text += delta;
+          reveal();
+          if (painter) painter.push(delta);
+        }
+        if (typeof frame?.answer === 'string' && frame.answer) result.answer = frame.answer;
+        if (Array.isArray(frame?.citations)) result.citations = frame.citations;
+        if (frame?.confidence != null) result.confidence = frame.confidence;
+        if (frame?.fallback === true) result.fallback = true;
+        if (frame?.conversationId) result.conversationId = String(frame.conversationId);
+        if (frame?.responseId || frame?.messageId) result.responseId = String(frame.responseId || frame.messageId);
+        const followUps = frame?.followUps || frame?.followUpQuestions || frame?.suggestions;
+        if (Array.isArray(followUps)) result.followUps = suggestionList(followUps, 4);
+      });
+      if (painter) painter.stop();
+      if (spinner) spinner.remove();
+      if (result.error === 'chat_daily_limit_reached'){
+        if (wrap) wrap.remove();
+        appendMessage('ai', dailyLimitMessage(result.retryAfter), []);
+        reportResponse(query, { ok: false, error: 'chat_daily_limit_reached', retryAfter: result.retryAfter, streamed: true });
+        offerHandoff('daily_limit', query);
+        return;
+      }
+      if (result.error && !text && !result.answer){
+        appendMessage('ai', result.message || 'Chat is temporarily unavailable. Please try again.');
+        reportResponse(query, { ok: false, error: result.error, streamed: true });
+        offerHandoff('request_failed', query);
+        return;
+      }
+      const answer = result.answer || text || FALLBACK_ANSWER;
+      if (answer === FALLBACK_ANSWER) result.fallback = true;
+      if (!wrap){
+        wrap = appendMessage('ai', answer, result.citations);
+      } else {
+        if (textNode) renderAnswer(textNode, answer, result.citations);
+        appendSources(wrap, result.citations);
+      }
+      if (!result.error){
+        appendSuggestions(wrap, result.followUps, 'follow_up');
+        appendAnswerTools(wrap, recordExchange(query, answer, result.citations, { conversationId: result.conversationId, responseId: result.responseId, followUps: result.followUps, quote: quoted }), query);
+      }
+      if (body) body.scrollTop = body.scrollHeight;
+      reportResponse(query, Object.assign(
+        { ok: !result.error, hasCitations: result.citations.length > 0, confidence: result.confidence, streamed: true },
+        result.error ? { error: result.error } : {}
+      ), { answer, citations: result.citations, conversationId: result.conversationId || conversation?.id || null, responseId: result.responseId || null, followUps: result.followUps });
+      if (result.error) offerHandoff('request_failed', query);
+      else if (needsHandoff(result)) offerHandoff(result.fallback ? 'fallback' : 'low_confidence', query);
+    }
+
+    // `chat_response` telemetry plus the host-facing `chat:response` event (with the answer itself)
+    function reportResponse(query, meta, result){
+      enqueue('chat_response', meta);
+      emit('chat:response', Object.assign({ query }, meta, result || {}));
+    }
+
+    // `extra.context` carries hand-off context (e.g. top search hits) for this one request
+    async function sendQuery(extra){
       if (!input || loading) return;
       const query = (input.value || '').trim();
       if (!query) return;
-      appendMessage('user', query);
+      // Starter prompts only make sense before the first question
+      body?.querySelector('.cc-chat-suggestions[data-kind="starter"]')?.remove();
+      const quoted = pendingLeadCapture ? '' : quote;
+      appendQuote(appendMessage('user', query), quoted);
       input.value = '';
+      if (quoted) setQuote('');
       const spinnerStartedAt = now();
       const spinner = appendSpinnerMessage();
       const waitMs = minSpinnerMs();
@@ -1182,101 +3471,218 @@
           ]);
           pendingLeadCapture = null;
           if (input){
-            input.placeholder = DEFAULT_CHAT_PLACEHOLDER;
+            input.placeholder = defaultPlaceholder();
             input.classList.remove('cc-chat-input-email-focus');
           }
           enqueue('chat_download_ready', { autoDownload: false });
           return;
         }
-        enqueue('chat_query', { q: query });
+        if (!conversation) conversation = loadConversation();
+        enqueue('chat_query', { q: query, conversationId: conversation.id, turn: Math.floor(conversation.turns.length / 2) + 1, source: extra?.source || 'chat', hasSelection: !!quoted });
+        emit('chat:query', { query, conversationId: conversation.id, source: extra?.source || 'chat' });
+        requestAbort = typeof AbortController === 'function' ? new AbortController() : null;
         const res = await fetch(cfg.chat.endpoint, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream, application/x-ndjson;q=0.9, application/json;q=0.8' },
           credentials: 'omit',
+          signal: requestAbort ? requestAbort.signal : undefined,
           body: JSON.stringify({
             siteId: cfg.siteId,
             query,
             sessionId: getSessionId(),
+            userId: getUserId() || undefined,
+            conversationId: conversation.id,
+            history: historyForRequest(),
+            context: extra?.context || undefined,
+            page: cfg.chat.pageContext ? pageContext() : undefined,
+            selection: quoted || undefined,
           })
         });
+        // Streamed answers render as they arrive, so they skip the minimum spinner floor.
+        const streamMode = isStreamingResponse(res);
+        if (streamMode){
+          await streamAnswer(res, streamMode, spinner, query, quoted);
+          return;
+        }
         const json = await res.json().catch(()=> ({}));
         const remaining = waitMs - (now() - spinnerStartedAt);
         if (remaining > 0) await delay(remaining);
         if (spinner) spinner.remove();
         if (!res.ok && json?.error === 'chat_daily_limit_reached'){
           const retryAfter = Number(json?.retryAfter || 0);
-          const hours = retryAfter > 0 ? Math.max(1, Math.ceil(retryAfter / 3600)) : null;
-          const msg = hours
-            ? `Daily chat limit reached for this website. Please try again in about ${hours} hour${hours > 1 ? 's' : ''}.`
-            : 'Daily chat limit reached for this website. Please try again tomorrow.';
-          appendMessage('ai', msg, []);
-          enqueue('chat_response', { ok: false, error: 'chat_daily_limit_reached', retryAfter });
+          appendMessage('ai', dailyLimitMessage(retryAfter), []);
+          reportResponse(query, { ok: false, error: 'chat_daily_limit_reached', retryAfter });
+          offerHandoff('daily_limit', query);
           return;
         }
-        const answer = json.answer || json.message || 'I could not find a reliable answer from this website content.';
+        const answer = json.answer || json.message || FALLBACK_ANSWER;
+        const fallback = json.fallback === true || !(json.answer || json.message);
         const citations = Array.isArray(json.citations) ? json.citations : [];
-        appendMessage('ai', answer, citations);
-        enqueue('chat_response', { ok: res.ok, hasCitations: citations.length > 0, confidence: json.confidence ?? null });
-      }catch{
+        const responseId = json.responseId || json.messageId || json.id || '';
+        const followUps = suggestionList(json.followUps || json.followUpQuestions || json.suggestions, 4);
+        const wrap = appendMessage('ai', answer, citations);
+        if (res.ok){
+          appendSuggestions(wrap, followUps, 'follow_up');
+          appendAnswerTools(wrap, recordExchange(query, answer, citations, { conversationId: json.conversationId, responseId, followUps, quote: quoted }), query);
+          if (body) body.scrollTop = body.scrollHeight;
+        }
+        reportResponse(query, { ok: res.ok, hasCitations: citations.length > 0, confidence: json.confidence ?? null }, { answer, citations, conversationId: json.conversationId || conversation?.id || null, responseId: responseId || null, followUps });
+        if (!res.ok) offerHandoff('request_failed', query);
+        else if (needsHandoff({ fallback, confidence: json.confidence })) offerHandoff(fallback ? 'fallback' : 'low_confidence', query);
+      }catch(err){
+        if (err?.name === 'AbortError'){
+          if (spinner) spinner.remove();
+          reportResponse(query, { ok: false, error: 'aborted' });
+          return;
+        }
         const remaining = waitMs - (now() - spinnerStartedAt);
         if (remaining > 0) await delay(remaining);
         if (spinner) spinner.remove();
         appendMessage('ai', 'Chat is temporarily unavailable. Please try again.');
-        enqueue('chat_response', { ok: false, error: 'request_failed' });
+        reportResponse(query, { ok: false, error: 'request_failed' });
+        offerHandoff('request_failed', query);
       }finally{
+        requestAbort = null;
         setLoading(false);
+        if (queuedAsk && input){
+          const next = queuedAsk;
+          queuedAsk = null;
+          ask(next.query, next.options);
+        }
       }
     }
 
-    function open(){
-      if (overlay) return;
-      overlay = D.createElement('div'); overlay.className = 'cc-chat-overlay';
-      const panel = D.createElement('div'); panel.className = 'cc-chat-panel';
-      const head = D.createElement('div'); head.className = 'cc-chat-head';
+    // `options.quote` attaches a passage to the next question (the selection button passes it);
+    // other ways of opening never pick up the page selection on their own
+    function open(options){
+      const picked = options && typeof options === 'object' && typeof options.quote === 'string' ? options.quote : '';
+      hideSelectionButton();
+      if (overlay){
+        if (picked) setQuote(picked);
+        if (input && !input.disabled) input.focus();
+        return;
+      }
+      overlay = D.createElement('div'); overlay.className = 'cc-chat-overlay'; overlay.setAttribute('part', 'chat-overlay');
+      const panel = D.createElement('div'); panel.className = 'cc-chat-panel'; panel.setAttribute('part', 'chat-panel');
+      const head = D.createElement('div'); head.className = 'cc-chat-head'; head.setAttribute('part', 'chat-head');
       const title = D.createElement('div'); title.className = 'cc-chat-title';
       title.innerHTML = `
         <span class="cc-chat-logo-wrap"><img class="cc-chat-logo" alt="${escapeHTML(cfg.chat.name || COMPASS_AI_NAME)}"></span>
-        ${escapeHTML(cfg.chat.title)}
+        <span class="cc-chat-title-text">${escapeHTML(cfg.chat.title)}</span>
       `;
       const titleLogo = title.querySelector('.cc-chat-logo');
-      try{
-        const src = isDarkMode() ? (cfg.chat.logoDark || cfg.chat.logoLight) : cfg.chat.logoLight;
-        if (titleLogo && src) titleLogo.src = src;
-      }catch{}
+      if (titleLogo) themedLogo(titleLogo, cfg.chat.logoLight, cfg.chat.logoDark);
       const closeBtn = D.createElement('button'); closeBtn.type = 'button'; closeBtn.className = 'cc-chat-close'; closeBtn.setAttribute('aria-label', 'Close chat'); closeBtn.textContent = '×';
       closeBtn.addEventListener('click', close);
-      head.appendChild(title); head.appendChild(closeBtn);
+      const newBtn = D.createElement('button'); newBtn.type = 'button'; newBtn.className = 'cc-chat-new'; newBtn.setAttribute('aria-label', 'New conversation'); newBtn.textContent = 'New conversation';
+      newBtn.addEventListener('click', resetConversation);
+      const headActions = D.createElement('div'); headActions.className = 'cc-chat-head-actions';
+      if (cfg.chat.handoff && HANDOFF_ENDPOINT){
+        const handoffBtn = D.createElement('button'); handoffBtn.type = 'button'; handoffBtn.className = 'cc-chat-new cc-chat-handoff-open'; handoffBtn.textContent = handoffLabel();
+        handoffBtn.addEventListener('click', ()=> openHandoff('chat_head'));
+        headActions.appendChild(handoffBtn);
+      }
+      headActions.appendChild(newBtn); headActions.appendChild(closeBtn);
+      head.appendChild(title); head.appendChild(headActions);
 
-      body = D.createElement('div'); body.className = 'cc-chat-body';
-      appendMessage('ai', `Ask anything about this website. ${cfg.chat.name || COMPASS_AI_NAME} will answer from available page and blog content.`);
+      body = D.createElement('div'); body.className = 'cc-chat-body'; body.setAttribute('part', 'chat-body');
+      conversation = loadConversation();
+      renderTranscript();
 
       const inputRow = D.createElement('div'); inputRow.className = 'cc-chat-input-row';
-      input = D.createElement('input'); input.className = 'cc-chat-input'; input.placeholder = cfg.chat.placeholder;
-      sendBtn = D.createElement('button'); sendBtn.type = 'button'; sendBtn.className = 'cc-chat-send'; sendBtn.textContent = 'Send';
-      sendBtn.addEventListener('click', sendQuery);
+      input = D.createElement('input'); input.className = 'cc-chat-input'; input.setAttribute('part', 'chat-input'); input.placeholder = cfg.chat.placeholder;
+      sendBtn = D.createElement('button'); sendBtn.type = 'button'; sendBtn.className = 'cc-chat-send'; sendBtn.setAttribute('part', 'chat-send'); sendBtn.textContent = 'Send';
+      sendBtn.addEventListener('click', ()=> sendQuery());
       input.addEventListener('keydown', (e)=>{ if (e.key === 'Enter') sendQuery() });
       input.addEventListener('input', ()=> input?.classList?.remove('cc-chat-input-email-focus'));
       inputRow.appendChild(input); inputRow.appendChild(sendBtn);
 
-      panel.appendChild(head); panel.appendChild(body); panel.appendChild(inputRow);
-      overlay.appendChild(panel); D.body.appendChild(overlay);
+      quoteBar = D.createElement('div'); quoteBar.className = 'cc-chat-quote'; quoteBar.setAttribute('part', 'chat-quote'); quoteBar.hidden = true;
+      setQuote(picked || '');
+
+      panel.appendChild(head); panel.appendChild(body); panel.appendChild(quoteBar); panel.appendChild(inputRow);
+      overlay.appendChild(panel); mountUi(overlay);
       overlay.addEventListener('click', (e)=>{ if (e.target === overlay) close() });
       input.focus();
       enqueue('chat_ui', { action: 'open' });
+      emit('chat:open', {});
+    }
+
+    function appendGreeting(){
+      const wrap = appendMessage('ai', `Ask anything about this website. ${cfg.chat.name || COMPASS_AI_NAME} will answer from available page and blog content.`);
+      if (!conversation?.turns?.length) appendSuggestions(wrap, startersForPage(), 'starter');
+    }
+    function renderTranscript(){
+      if (!body) return;
+      body.innerHTML = '';
+      handoffWrap = null;
+      appendGreeting();
+      (conversation?.turns || []).forEach((t, i, turns)=>{
+        const wrap = appendMessage(t.role === 'user' ? 'user' : 'ai', t.text, t.citations);
+        if (t.role === 'user') return appendQuote(wrap, t.quote);
+        appendSuggestions(wrap, t.followUps, 'follow_up');
+        appendAnswerTools(wrap, t, turns[i - 1]?.role === 'user' ? turns[i - 1].text : '');
+      });
+    }
+    function resetConversation(){
+      if (requestAbort){ try { requestAbort.abort() } catch {} requestAbort = null }
+      conversation = { id: uuid(), sid: getSessionId(), turns: [] };
+      saveConversation();
+      pendingLeadCapture = null;
+      handoffState = '';
+      setQuote('');
+      if (input){
+        input.placeholder = defaultPlaceholder();
+        input.classList.remove('cc-chat-input-email-focus');
+      }
+      renderTranscript();
+      if (input && !input.disabled) input.focus();
+      enqueue('chat_ui', { action: 'new_conversation' });
+    }
+
+    // Open the panel and submit `text` as if the visitor typed it. While an answer is still
+    // loading, the latest question waits and is sent when that answer finishes.
+    function ask(text, options){
+      const query = String(text || '').trim();
+      if (!query) return false;
+      open({ quote: options?.quote || '' });
+      if (!input) return false;
+      if (loading){ queuedAsk = { query, options }; return true }
+      if (pendingLeadCapture){
+        pendingLeadCapture = null;
+        input.placeholder = defaultPlaceholder();
+        input.classList.remove('cc-chat-input-email-focus');
+      }
+      input.value = query;
+      sendQuery({ source: options?.source || 'api', context: options?.context });
+      return true;
     }
 
     function close(){
       if (!overlay) return;
+      if (requestAbort){ try { requestAbort.abort() } catch {} requestAbort = null }
       overlay.remove();
       overlay = null;
       body = null;
       input = null;
       sendBtn = null;
+      quoteBar = null;
+      quote = '';
+      handoffWrap = null;
       pendingLeadCapture = null;
+      queuedAsk = null;
       enqueue('chat_ui', { action: 'close' });
+      emit('chat:close', {});
     }
 
-    return { open, close };
+    function refresh(){
+      const titleText = overlay && overlay.querySelector('.cc-chat-title-text');
+      if (titleText) titleText.textContent = cfg.chat.title;
+      if (input && !pendingLeadCapture) input.placeholder = quote ? 'Ask about the selected text…' : defaultPlaceholder();
+      if (selectionBtn) selectionBtn.textContent = `Ask ${cfg.chat.name || COMPASS_AI_NAME} about this`;
+    }
+
+    return { open, close, ask, refresh };
   }
 
   // --- Campaign messages -----------------------------------------------------
@@ -1305,6 +3711,26 @@
     parent.appendChild(el);
     return el;
   }
+  // Resolves true when the text reached the clipboard (async API first, execCommand fallback)
+  function copyText(text){
+    const value = String(text || '');
+    const legacy = ()=>{
+      const ta = D.createElement('textarea');
+      ta.value = value;
+      ta.setAttribute('readonly', '');
+      ta.style.cssText = 'position:fixed;top:-1000px;left:0;opacity:0';
+      D.body.appendChild(ta);
+      ta.select();
+      let ok = false;
+      try { ok = !!D.execCommand('copy') } catch {}
+      ta.remove();
+      return ok;
+    };
+    try {
+      if (N.clipboard?.writeText) return N.clipboard.writeText(value).then(()=> true, legacy);
+    } catch {}
+    return Promise.resolve(legacy());
+  }
   function deliveryOption(delivery, key, fallback){
     if (!delivery || typeof delivery !== 'object') return fallback;
     if (delivery[key] != null) return delivery[key];
@@ -1338,7 +3764,7 @@
   }
   function campaignCtx(){
     const ctx = currentCtx();
-    return { siteId: ctx.siteId, vid: ctx.vid, sid: ctx.sid, path: ctx.path };
+    return { siteId: ctx.siteId, vid: ctx.vid, sid: ctx.sid, uid: ctx.uid, path: ctx.path };
   }
   async function campaignPost(url, body){
     if (!url) return null;
@@ -1397,6 +3823,7 @@
     root.className = isModal ? 'cc-campaign-scrim' : 'cc-campaign-layer';
     const card = D.createElement('div');
     card.className = 'cc-campaign-card';
+    card.setAttribute('part', 'campaign-card');
     card.setAttribute('role', isModal ? 'dialog' : 'status');
     card.setAttribute('aria-live', isModal ? 'off' : 'polite');
     card.setAttribute('data-layout', layout || 'modal');
@@ -1461,7 +3888,8 @@
     });
     return out;
   }
-  function renderFields(parent, step){
+  function renderFields(parent, step, idPrefix){
+    const prefix = idPrefix || 'cc-campaign';
     (Array.isArray(step?.fields) ? step.fields : []).forEach((f)=>{
       const id = String(f?.id || f?.name || '').trim();
       if (!id) return;
@@ -1469,12 +3897,13 @@
       wrap.className = 'cc-campaign-field';
       const label = D.createElement('label');
       label.textContent = String(f?.label || id);
-      label.htmlFor = `cc-campaign-${id}`;
+      label.htmlFor = `${prefix}-${id}`;
       const input = String(f?.type || '').toLowerCase() === 'textarea' ? D.createElement('textarea') : D.createElement('input');
-      input.id = `cc-campaign-${id}`;
+      input.id = `${prefix}-${id}`;
       input.setAttribute('data-cc-field', id);
       if (input.tagName === 'INPUT') input.type = String(f?.type || 'text');
       input.placeholder = String(f?.placeholder || '');
+      if (f?.value != null) input.value = String(f.value);
       input.required = f?.required === true;
       wrap.appendChild(label);
       wrap.appendChild(input);
@@ -1487,6 +3916,7 @@
     const tone = opts.tone === 'accent' ? 'accent' : 'default';
     const btn = D.createElement('button');
     btn.type = 'button';
+    btn.setAttribute('part', 'campaign-action');
     btn.className = `cc-campaign-action cc-campaign-action-${style}${style === 'button' ? ' cc-campaign-action-button' : ''}${style === 'button' && tone === 'accent' ? ' cc-campaign-action-button-accent' : ''}`;
     btn.textContent = String(label || 'Continue');
     return btn;
@@ -1582,6 +4012,7 @@
               appendText(body, 'div', 'cc-campaign-error', json?.message || 'Could not submit. Please check the fields.');
               return;
             }
+            identifyLead(emailFromFields(fields), 'campaign_form');
           }
           if (kind === 'lead_magnet' || stepType === 'lead_magnet') {
             const fields = readStepFields(step, body);
@@ -1593,6 +4024,7 @@
               appendText(body, 'div', 'cc-campaign-error', claim?.message || 'Could not start the download.');
               return;
             }
+            identifyLead(email, 'campaign_lead_magnet');
             triggerCampaignDownload(claim.data.downloadUrl);
           }
           const targetId = a?.nextStepId || '';
@@ -1657,11 +4089,12 @@
       });
       body.appendChild(actions);
     }
-    D.body.appendChild(root);
+    mountUi(root);
     recordCampaign(campaignId, 'impression', { deliveryAttemptId: message.deliveryAttemptId });
+    emit('campaign:impression', { campaignId, deliveryAttemptId: message.deliveryAttemptId || null, layout, title: delivery.title || null });
   }
   async function pollActiveMessages(){
-    if (!cfg.messages?.enabled || !cfg.messages?.endpoint || !cfg.siteId || !hasConsent() || dnt) return;
+    if (destroyed || !cfg.messages?.enabled || !cfg.messages?.endpoint || !cfg.siteId || !hasConsent('messaging') || privacySignal) return;
     try{
       const u = new URL(cfg.messages.endpoint, apiBase || L.href);
       const ctx = currentCtx();
@@ -1669,7 +4102,7 @@
       u.searchParams.set('vid', ctx.vid);
       u.searchParams.set('sid', ctx.sid);
       u.searchParams.set('path', ctx.path);
-      u.searchParams.set('url', String(L.href));
+      u.searchParams.set('url', pageUrl());
       const res = await fetch(u.toString(), { method:'GET', credentials:'omit' });
       if (!res.ok) return;
       const json = await res.json().catch(()=>null);
@@ -1684,21 +4117,231 @@
     }catch{}
   }
 
+  // --- Runtime options ---------------------------------------------------------
+  // CC.embed.init(options) / update(options) take the CC_EMBED_OPTS shape and win over
+  // script attributes. Keys marked init-only are ignored once the client has started.
+  const OPTION_TYPES = {
+    '': { siteId:'string', siteTimezone:'string', endpoint:'string', validateEndpoint:'string', configEndpoint:'string', isolation:'lower', helpHotkey:'lower',
+      consentRequired:'boolean', consentPurge:'boolean', anonymousMode:'lower', piiParams:'list',
+      sessionTimeoutMs:'number', idleTimeoutMs:'number', maxBatch:'number', queueMaxEvents:'number', queueMaxAgeMs:'number', retryMaxMs:'number' },
+    search: { enabled:'boolean', placeholder:'string', accent:'string', hotkey:'lower', paging:'lower', pageSize:'number', popular:'list',
+      askMinResults:'number', askMinScore:'number', logoLight:'string', logoDark:'string' },
+    chat: { enabled:'boolean', endpoint:'string', placeholder:'string', accent:'string', hotkey:'lower', name:'string', title:'string', launcherLabel:'string',
+      starters:'list', handoff:'boolean', handoffMinConfidence:'number', pageContext:'boolean', selectionButton:'boolean', minSpinnerMs:'number', showPdfPreview:'boolean', logoLight:'string', logoDark:'string' },
+    messages: { enabled:'boolean', endpoint:'string', base:'string', accent:'string' },
+    dock: { position:'string', density:'string' },
+  };
+  const INIT_ONLY_OPTIONS = ['siteId', 'isolation', 'helpHotkey', 'sessionTimeoutMs', 'search.enabled', 'search.hotkey', 'chat.enabled', 'chat.hotkey', 'messages.enabled'];
+  function optionValue(type, v){
+    if (type === 'boolean') return typeof v === 'boolean' ? v : (v === 'true' || v === 'false' ? v === 'true' : undefined);
+    if (type === 'number'){ const n = Number(v); return v !== '' && v != null && Number.isFinite(n) ? n : undefined }
+    if (type === 'list') return Array.isArray(v) ? v : (typeof v === 'string' ? v.split(',').map((x)=> x.trim()).filter(Boolean) : undefined);
+    if (typeof v !== 'string' || !v.trim()) return undefined;
+    return type === 'lower' ? v.trim().toLowerCase() : v.trim();
+  }
+  function applyOptions(options, started){
+    if (!options || typeof options !== 'object') return;
+    Object.keys(OPTION_TYPES).forEach((section)=>{
+      const src = section ? (options[section] || (section === 'dock' ? options.toolbar : null)) : options;
+      if (!src || typeof src !== 'object') return;
+      const target = section ? cfg[section] : cfg;
+      Object.keys(OPTION_TYPES[section]).forEach((key)=>{
+        if (started && INIT_ONLY_OPTIONS.includes(section ? `${section}.${key}` : key)) return;
+        const v = optionValue(OPTION_TYPES[section][key], src[key]);
+        if (v === undefined) return;
+        target[key] = key === 'piiParams' ? v.map((x)=> String(x).toLowerCase()) : v;
+      });
+    });
+    // Retired heartbeatMs maps onto the idle timeout unless that is given too
+    const heartbeatMs = optionValue('number', options.heartbeatMs);
+    if (heartbeatMs !== undefined){
+      try { console.warn(HEARTBEAT_WARNING) } catch {}
+      if (optionValue('number', options.idleTimeoutMs) === undefined) cfg.idleTimeoutMs = heartbeatMs;
+    }
+    // Server settings must not override values the host set at runtime
+    const o = options;
+    if (o.search?.accent) explicitSearchAccent = true;
+    if (o.chat?.accent) explicitChatAccent = true;
+    if (o.messages?.accent) explicitMessagesAccent = true;
+    if (o.search?.placeholder) explicitSearchPlaceholder = true;
+    if (o.chat?.placeholder) explicitChatPlaceholder = true;
+    if (o.chat?.title) explicitChatTitle = true;
+    if (o.chat?.launcherLabel) explicitChatLabel = true;
+    if (o.chat?.endpoint) explicitChatEndpoint = true;
+    if (Array.isArray(o.chat?.starters) || typeof o.chat?.starters === 'string') explicitChatStarters = true;
+    if (optionValue('boolean', o.chat?.handoff) !== undefined) explicitChatHandoff = true;
+    if (optionValue('number', o.chat?.handoffMinConfidence) !== undefined) explicitHandoffMinConfidence = true;
+    if (typeof o.chat?.showPdfPreview === 'boolean') explicitChatShowPdfPreview = true;
+    if ((o.dock || o.toolbar)?.position) explicitDockPosition = true;
+    if ((o.dock || o.toolbar)?.density) explicitDockDensity = true;
+    if (o.theme && typeof o.theme === 'object'){
+      const t = readTheme(o.theme);
+      clientTheme = {
+        base: Object.assign({}, clientTheme.base, t.base),
+        light: Object.assign({}, clientTheme.light, t.light),
+        dark: Object.assign({}, clientTheme.dark, t.dark),
+      };
+      if (typeof o.theme.mode === 'string' && o.theme.mode.trim()){
+        cfg.theme.mode = o.theme.mode.trim().toLowerCase();
+        explicitThemeMode = true;
+      }
+    }
+    if (!started) siteKeyOk = cfg.siteId ? null : false;
+  }
+
   // --- Public API (small surface) --------------------------------------------
+  // Host-facing events, e.g. CC.embed.on('chat:response', (e)=> …):
+  //   search:open, search:close, search:select, chat:open, chat:close, chat:query,
+  //   chat:response, chat:feedback, chat:handoff, campaign:impression
+  const apiListeners = new Map();
+  function emit(name, detail){
+    const fns = apiListeners.get(name);
+    if (!fns) return;
+    Array.from(fns).forEach((fn)=>{ try{ fn(detail) }catch{} });
+  }
+  function on(name, fn){
+    if (typeof fn !== 'function') return ()=>{};
+    const key = String(name || '');
+    if (!apiListeners.has(key)) apiListeners.set(key, new Set());
+    apiListeners.get(key).add(fn);
+    return ()=> off(key, fn);
+  }
+  function off(name, fn){
+    const fns = apiListeners.get(String(name || ''));
+    if (!fns) return;
+    if (fn) fns.delete(fn); else fns.clear();
+  }
+  function domReady(){
+    if (D.readyState === 'complete' || D.readyState === 'interactive') return Promise.resolve();
+    return new Promise((resolve)=> D.addEventListener('DOMContentLoaded', ()=> resolve(), { once:true }));
+  }
+  // Re-apply options to the running client: theme/accents, placeholders, chat title, dock layout and labels
+  function update(options){
+    if (destroyed) return;
+    applyOptions(options, !!startPromise);
+    applyTheme(true);
+    try{ widgets.search?.refresh() }catch{}
+    try{ widgets.chat?.refresh() }catch{}
+    if (widgets.dock){
+      applyDockLayout(widgets.dock);
+      const chatBtn = widgets.dock.querySelector('.cc-dock-icon[data-kind="chat"]');
+      if (chatBtn) labelDockButton(chatBtn, chatLauncherLabel(), widgets.chat?.hotkeyHint);
+    }
+  }
+  // Controllers created by init(); null until then or when a widget is disabled.
+  // Widget calls made before init() finishes wait for it (see whenReady).
+  const widgets = { search:null, chat:null, dock:null };
+  let widgetsReady = false;
+  let startPromise = null;
+  const pendingWidgetCalls = [];
+  function whenReady(fn){
+    if (widgetsReady) return fn();
+    pendingWidgetCalls.push(fn);
+    return true;
+  }
+  function markWidgetsReady(){
+    widgetsReady = true;
+    pendingWidgetCalls.splice(0).forEach((fn)=>{ try{ fn() }catch{} });
+  }
+  function destroy(){
+    if (destroyed) return;
+    try{ widgets.search?.close() }catch{}
+    try{ widgets.chat?.close() }catch{}
+    try{ closeShortcutHelp() }catch{}
+    persistQueue(true);
+    destroyed = true;
+    if (state.retryTimer){ W.clearTimeout(state.retryTimer); state.retryTimer = null }
+    cleanups.splice(0).reverse().forEach((fn)=>{ try{ fn() }catch{} });
+    hotkeys.length = 0;
+    unmountUi();
+    widgets.search = widgets.chat = widgets.dock = null;
+    pendingWidgetCalls.length = 0;
+    apiListeners.clear();
+    consentListeners.clear();
+  }
   const API = {
     track: enqueue,
-    consentGranted(){ ls.set('cc_consent_granted', true) },
+    consentGranted(){ grantConsent() },
+    consentRevoked(){ revokeConsent() },
+    consent: {
+      purposes: CONSENT_PURPOSES.slice(),
+      grant: grantConsent,
+      revoke: revokeConsent,
+      get(purpose){ return purpose ? hasConsent(String(purpose)) : consentSnapshot() },
+      onChange(fn){
+        if (typeof fn !== 'function') return ()=>{};
+        consentListeners.add(fn);
+        return ()=> consentListeners.delete(fn);
+      },
+    },
     pageview: trackPageview,
+    identify(userId, traits){ return identify(userId, traits, 'api') },
+    reset(){
+      try{ widgets.chat?.close() }catch{}
+      resetIdentity();
+    },
     campaigns: {
       poll: pollActiveMessages
-    }
+    },
+    search: {
+      open(query){ return whenReady(()=>{ if (!widgets.search) return false; widgets.search.open(query); return true }) },
+      close(){ whenReady(()=> widgets.search?.close()) },
+    },
+    chat: {
+      open(options){ return whenReady(()=>{ if (!widgets.chat) return false; widgets.chat.open(options?.quote != null ? { quote: options.quote } : undefined); return true }) },
+      ask(text, options){ return whenReady(()=> widgets.chat ? widgets.chat.ask(text, { quote: options?.quote }) : false) },
+      close(){ whenReady(()=> widgets.chat?.close()) },
+    },
+    dock: {
+      show(){ whenReady(()=>{ if (widgets.dock) widgets.dock.hidden = false }) },
+      hide(){ whenReady(()=>{ if (widgets.dock) widgets.dock.hidden = true }) },
+    },
+    on,
+    off,
+    destroy,
+    init(options){
+      if (startPromise){
+        update(options);
+        return startPromise;
+      }
+      applyOptions(options, false);
+      return domReady().then(init);
+    },
+    update,
   };
   W.CC = W.CC || {}; W.CC.embed = API;
 
+  // Command queue: the loader stub (see usage at the end of this file) records calls made
+  // before this script loaded as ['path.to.method', ...args] in window.CC.q. They replay
+  // in order here, before init(), so consent and listeners are in place for the first
+  // events; widget calls wait for init(). Later pushes run immediately.
+  function runCommand(cmd){
+    try{
+      if (typeof cmd === 'function'){ cmd(API); return }
+      if (!Array.isArray(cmd) || !cmd.length) return;
+      const path = String(cmd[0] || '').split('.');
+      let target = API;
+      for (let i = 0; i < path.length - 1 && target; i++) target = target[path[i]];
+      const fn = target ? target[path[path.length - 1]] : null;
+      if (typeof fn !== 'function'){ try { console.warn('[CC embed] Unknown command:', cmd[0]) } catch {} return }
+      fn.apply(target, cmd.slice(1));
+    }catch{}
+  }
+  const queued = Array.isArray(W.CC.q) ? W.CC.q.slice() : [];
+  W.CC.q = { push(){ Array.from(arguments).forEach(runCommand); return 0 } };
+  queued.forEach(runCommand);
+
   // --- Init ------------------------------------------------------------------
-  async function init(){
-    if (!cfg.autoInit) return;
+  // Runs once: automatically on DOM ready, or from CC.embed.init() when data-auto-init="false"
+  function init(){
+    if (destroyed) return Promise.resolve(false);
+    if (!startPromise) startPromise = start().then(()=> !destroyed);
+    return startPromise;
+  }
+  async function start(){
+    watchConsentSignals();
     await loadSiteUiConfig();
+    if (destroyed) return;
     // Trackers can run even if analytics endpoint disabled (search still works)
     trackErrors();
     hookSPA();
@@ -1712,28 +4355,38 @@
 
     // Scroll + click capture
     let scrollDebounce=0;
-    W.addEventListener('scroll', ()=>{
+    listen(W, 'scroll', ()=>{
       window.clearTimeout(scrollDebounce);
       scrollDebounce = window.setTimeout(()=> trackScroll(), 200);
     }, { passive:true });
-    D.addEventListener('click', trackClick, true);
+    listen(D, 'click', trackClick, true);
 
-    // Heartbeats only while visible
-    setInterval(()=>{ if (D.visibilityState==='visible') heartbeat() }, cfg.heartbeatMs);
+    // Engaged time (replaces the old fixed heartbeat)
+    trackEngagement();
 
     // Periodic flush of the event queue
-    setInterval(flush, 5000);
+    every(flush, 5000);
 
-    // Initialize search UI
-    const searchController = createSearch();
+    // Initialize search UI (with "Ask AI" hand-off to chat when chat is enabled)
+    let chatController = null;
+    const searchController = createSearch({
+      available: ()=> !!chatController,
+      ask: (q, hits)=> chatController && chatController.ask(q, { source: 'search', context: { source: 'search', query: q, hits } }),
+    });
     // Initialize chat UI (optional)
-    const chatController = createChat();
+    chatController = createChat();
+    // Keyboard shortcuts (see data-search-hotkey / data-chat-hotkey / data-help-hotkey)
+    if (searchController) searchController.hotkeyHint = hotkeyHint(bindHotkey(cfg.search.hotkey, 'Open search', searchController.open));
+    if (chatController) chatController.hotkeyHint = hotkeyHint(bindHotkey(cfg.chat.hotkey, `Open ${cfg.chat.name || COMPASS_AI_NAME}`, chatController.open));
+    if (hotkeys.length) bindHotkey(cfg.helpHotkey, 'Show keyboard shortcuts', openShortcutHelp);
+    listen(D, 'keydown', onHotkey);
     // Initialize unified Compass dock
-    createDock({ search: searchController, chat: chatController });
+    const dock = createDock({ search: searchController, chat: chatController });
+    Object.assign(widgets, { search: searchController || null, chat: chatController || null, dock: dock || null });
+    markWidgetsReady();
   }
 
-  if (D.readyState === 'complete' || D.readyState === 'interactive') init();
-  else D.addEventListener('DOMContentLoaded', init);
+  if (cfg.autoInit) domReady().then(init);
 })();
 
 /*
@@ -1749,6 +4402,18 @@
     data-search-accent="#ec4899"
     async>
   </script>
-  
-  
+
+  Calling the API before the script has loaded: paste this stub above the embed. It queues
+  calls in window.CC.q, which the client replays in order once it runs.
+
+  <script>
+    !function(w){var c=w.CC=w.CC||{},e=c.embed=c.embed||{};c.q=c.q||[];
+    "init update track pageview on off identify reset consentGranted consentRevoked consent.grant consent.revoke search.open search.close chat.open chat.ask chat.close dock.show dock.hide destroy"
+    .split(" ").forEach(function(m){var p=m.split("."),o=p[1]?(e[p[0]]=e[p[0]]||{}):e,k=p[1]||p[0];
+    o[k]=o[k]||function(){c.q.push([m].concat([].slice.call(arguments)))}})}(window);
+    CC.embed.consent.grant(['analytics']);
+    CC.embed.on('chat:response', function(e){ console.log(e.answer) });
+  </script>
+
+  Raw commands work too: CC.q.push(['track', 'signup', { plan: 'pro' }]) or CC.q.push(function(api){ … }).
 */